@@ -0,0 +1,285 @@
+import express from 'express';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import logger from './logger.js';
+import { isValidAccountName, normalizeAccountName } from './hive-account.js';
+import {
+  getSubscriptions,
+  listSubscriptions,
+  validateTarget,
+  grantTrial,
+  extendSubscription,
+  revokeSubscription,
+  setExpiration
+} from './subscription-service.js';
+import { getTransitions, SUBSCRIPTION_STATES } from './subscription-states.js';
+import { getSubscriptionHistory } from './subscription-history.js';
+import { getPayments, getPendingPayments } from './payments.js';
+
+dotenv.config();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Same shape as the error responses of /health and /status
+export function sendError(res, statusCode, message) {
+  res.status(statusCode).json({
+    status: 'error',
+    error: message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function parseKeyList(text = '') {
+  return text.split(',').map(key => key.trim()).filter(Boolean);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Accepts the key as "X-API-Key: <key>" or "Authorization: Bearer <key>"
+export function getRequestKey(req) {
+  const header = req.get('authorization') || '';
+  return req.get('x-api-key') || (header.startsWith('Bearer ') ? header.slice(7) : null);
+}
+
+export function requireApiKey(keys) {
+  return (req, res, next) => {
+    const key = getRequestKey(req);
+    if (!key || !keys.some(candidate => safeEqual(candidate, key))) {
+      return sendError(res, 401, 'Missing or invalid API key');
+    }
+    next();
+  };
+}
+
+// "name:key,name:key" -> [{ name, key }]
+function parseAdminKeys(text = '') {
+  return parseKeyList(text).map(entry => {
+    const separator = entry.indexOf(':');
+    return { name: entry.slice(0, separator), key: entry.slice(separator + 1) };
+  }).filter(admin => admin.name && admin.key);
+}
+
+// Like requireApiKey, but also identifies the admin as req.admin for the audit log
+export function requireAdminKey(admins) {
+  return (req, res, next) => {
+    const key = getRequestKey(req);
+    const admin = key && admins.find(candidate => safeEqual(candidate.key, key));
+    if (!admin) {
+      return sendError(res, 401, 'Missing or invalid admin API key');
+    }
+    req.admin = admin.name;
+    next();
+  };
+}
+
+// Parse ?limit=&offset=, or return an error message
+export function parsePagination(query) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+  return { limit, offset };
+}
+
+function handleErrors(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      logger.error('API request failed:', { path: req.path, error: error.message });
+      sendError(res, 500, error.message);
+    }
+  };
+}
+
+/**
+ * Read-only subscription and payment lookups for the frontend, protected by
+ * the keys in API_KEYS (comma separated). Without keys every request is
+ * refused.
+ */
+export function createApiRouter(keys = parseKeyList(process.env.API_KEYS)) {
+  const router = express.Router();
+
+  if (keys.length === 0) {
+    logger.warn('API_KEYS is not set; the subscription API will refuse all requests');
+  }
+
+  router.use(['/subscriptions', '/payments'], requireApiKey(keys));
+
+  router.get('/subscriptions/:username', handleErrors(async (req, res) => {
+    const username = normalizeAccountName(req.params.username);
+    const subscriptions = await getSubscriptions(username);
+    // Includes payments for subscriptions that don't exist yet
+    const pendingPayments = await getPendingPayments(username);
+    res.status(200).json({ username, subscriptions, pendingPayments });
+  }));
+
+  router.get('/subscriptions/:username/history', handleErrors(async (req, res) => {
+    const username = normalizeAccountName(req.params.username);
+    const history = await getSubscriptionHistory(username);
+    res.status(200).json({ username, history });
+  }));
+
+  router.get('/subscriptions/:username/transitions', handleErrors(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return sendError(res, 400, pagination.error);
+    }
+
+    const username = normalizeAccountName(req.params.username);
+    const { transitions, total } = await getTransitions(username, pagination);
+    res.status(200).json({
+      username,
+      transitions,
+      pagination: { ...pagination, total }
+    });
+  }));
+
+  router.get('/subscriptions', handleErrors(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return sendError(res, 400, pagination.error);
+    }
+
+    const { active, state, product, creator } = req.query;
+    if (active !== undefined && active !== 'true' && active !== 'false') {
+      return sendError(res, 400, 'active must be true or false');
+    }
+    const states = Object.values(SUBSCRIPTION_STATES);
+    if (state !== undefined && !states.includes(state)) {
+      return sendError(res, 400, `state must be one of: ${states.join(', ')}`);
+    }
+
+    const { subscriptions, total } = await listSubscriptions({
+      active: active === undefined ? undefined : active === 'true',
+      state,
+      product,
+      creator: creator?.toLowerCase(),
+      ...pagination
+    });
+
+    res.status(200).json({
+      subscriptions,
+      pagination: { ...pagination, total }
+    });
+  }));
+
+  router.get('/payments/:username', handleErrors(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return sendError(res, 400, pagination.error);
+    }
+
+    const username = normalizeAccountName(req.params.username);
+    const { payments, total } = await getPayments(username, pagination);
+    res.status(200).json({
+      username,
+      payments,
+      pagination: { ...pagination, total }
+    });
+  }));
+
+  return router;
+}
+
+// Parse the target and reason shared by every admin request, or return an error message
+function parseAdminRequest(req) {
+  const username = normalizeAccountName(req.params.username);
+  const { product, reason } = req.body;
+  const creator = req.body.creator ? normalizeAccountName(req.body.creator) : null;
+
+  if (!isValidAccountName(username)) {
+    return { error: 'username is not a valid Hive account name' };
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return { error: 'reason is required' };
+  }
+  const targetError = validateTarget({ product, creator });
+  if (targetError) {
+    return { error: targetError };
+  }
+
+  return {
+    target: { username, creator, product },
+    audit: { admin: `api:${req.admin}`, reason: reason.trim() }
+  };
+}
+
+function parseDays(value) {
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+/**
+ * Manual subscription changes for admins, identified by the name:key pairs
+ * in ADMIN_API_KEYS. Every change is written to the admin audit log.
+ */
+export function createAdminRouter(admins = parseAdminKeys(process.env.ADMIN_API_KEYS)) {
+  const router = express.Router();
+
+  if (admins.length === 0) {
+    logger.warn('ADMIN_API_KEYS is not set; the admin API will refuse all requests');
+  }
+
+  router.use('/admin', requireAdminKey(admins), express.json());
+
+  router.post('/admin/subscriptions/:username/trial', handleErrors(async (req, res) => {
+    const request = parseAdminRequest(req);
+    const days = parseDays(req.body.days);
+    if (request.error || !days) {
+      return sendError(res, 400, request.error || 'days must be a positive integer');
+    }
+
+    const subscription = await grantTrial({ ...request.target, days }, request.audit);
+    if (!subscription) {
+      return sendError(res, 409, 'The subscription already runs longer than this trial');
+    }
+    res.status(200).json({ subscription });
+  }));
+
+  router.post('/admin/subscriptions/:username/extend', handleErrors(async (req, res) => {
+    const request = parseAdminRequest(req);
+    const days = parseDays(req.body.days);
+    if (request.error || !days) {
+      return sendError(res, 400, request.error || 'days must be a positive integer');
+    }
+
+    const subscription = await extendSubscription({ ...request.target, days }, request.audit);
+    res.status(200).json({ subscription });
+  }));
+
+  router.post('/admin/subscriptions/:username/revoke', handleErrors(async (req, res) => {
+    const request = parseAdminRequest(req);
+    if (request.error) {
+      return sendError(res, 400, request.error);
+    }
+
+    const subscription = await revokeSubscription(request.target, request.audit);
+    if (!subscription) {
+      return sendError(res, 404, 'Subscription not found or already revoked');
+    }
+    res.status(200).json({ subscription });
+  }));
+
+  router.put('/admin/subscriptions/:username/expiration', handleErrors(async (req, res) => {
+    const request = parseAdminRequest(req);
+    const expirationDate = new Date(req.body.expirationDate);
+    if (request.error || typeof req.body.expirationDate !== 'string' || isNaN(expirationDate)) {
+      return sendError(res, 400, request.error || 'expirationDate must be an ISO 8601 date');
+    }
+
+    const subscription = await setExpiration({ ...request.target, expirationDate }, request.audit);
+    res.status(200).json({ subscription });
+  }));
+
+  return router;
+}
@@ -0,0 +1,35 @@
+// Hive amounts have exactly three decimals, so they are handled as integer
+// thousandths ("milli" units) to keep arithmetic exact.
+
+export function toMilli(amount) {
+  const [whole, fraction = ''] = String(amount).trim().split('.');
+  if (!/^\d+$/.test(whole) || !/^\d{0,3}$/.test(fraction)) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+  return Number(whole) * 1000 + Number(fraction.padEnd(3, '0'));
+}
+
+export function formatMilli(milli) {
+  const sign = milli < 0 ? '-' : '';
+  const absolute = Math.abs(milli);
+  return `${sign}${Math.floor(absolute / 1000)}.${String(absolute % 1000).padStart(3, '0')}`;
+}
+
+// '5.000 HBD' -> { milli: 5000, symbol: 'HBD' }
+export function parseAsset(asset) {
+  const [amount, symbol] = asset.split(' ');
+  return { milli: toMilli(amount), symbol };
+}
+
+// Convert with a rate given as the fraction base/quote (e.g. 0.250 HBD per
+// 1.000 HIVE as { base: 250, quote: 1000 }), rounding down
+export function convertMilli(milli, rate) {
+  return Number(BigInt(milli) * BigInt(rate.base) / BigInt(rate.quote));
+}
+
+// base/quote as a decimal string with `decimals` places, rounding down
+export function formatRate(rate, decimals = 6) {
+  const scaled = BigInt(rate.base) * 10n ** BigInt(decimals) / BigInt(rate.quote);
+  const digits = scaled.toString().padStart(decimals + 1, '0');
+  return `${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+}
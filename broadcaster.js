@@ -0,0 +1,112 @@
+import { randomUUID } from 'crypto';
+import createBeekeeper from '@hiveio/beekeeper';
+import logger from './logger.js';
+import { formatMilli } from './asset.js';
+
+// "account:wif,account:wif" -> { account: wif }
+export function parseKeys(text = '') {
+  return Object.fromEntries(
+    text.split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [account, key] = entry.split(':');
+        return [account.trim(), key?.trim()];
+      })
+  );
+}
+
+/**
+ * Signs transfers with the sending account's active key in an in-memory
+ * beekeeper wallet and broadcasts them through WorkerBee. Memos can be
+ * encrypted for accounts whose private memo key is in `memoKeys`.
+ */
+export class WorkerBeeBroadcaster {
+  constructor({ getBot, keys, memoKeys = {} }) {
+    this.getBot = getBot;
+    this.keys = keys;
+    this.memoKeys = memoKeys;
+    this.wallet = null;
+    this.publicKeys = {};
+    this.publicMemoKeys = {};
+  }
+
+  async getWallet() {
+    if (!this.wallet) {
+      const beekeeper = await createBeekeeper({ inMemory: true });
+      const session = beekeeper.createSession(randomUUID());
+      const { wallet } = await session.createWallet('broadcaster', undefined, true);
+      for (const [account, key] of Object.entries(this.keys)) {
+        this.publicKeys[account] = await wallet.importKey(key);
+      }
+      for (const [account, key] of Object.entries(this.memoKeys)) {
+        this.publicMemoKeys[account] = await wallet.importKey(key);
+      }
+      this.wallet = wallet;
+    }
+    return this.wallet;
+  }
+
+  // Returns the id of the broadcast transaction. With `encryptFor` (the
+  // recipient's public memo key) the memo is encrypted.
+  async transfer({ from, to, amount, memo, encryptFor = null }) {
+    if (!this.keys[from]) {
+      throw new Error(`No active key configured for ${from}`);
+    }
+    if (encryptFor && !this.memoKeys[from]) {
+      throw new Error(`No memo key configured for ${from}`);
+    }
+
+    const bot = this.getBot();
+    if (!bot) {
+      throw new Error('Hive connection is not established');
+    }
+
+    const wallet = await this.getWallet();
+    const tx = await bot.chain.createTransaction();
+    if (encryptFor) {
+      tx.startEncrypt(this.publicMemoKeys[from], encryptFor);
+    }
+    tx.pushOperation({
+      transfer: {
+        from,
+        to,
+        amount: amount.symbol === 'HBD' ? bot.chain.hbd(amount.milli) : bot.chain.hive(amount.milli),
+        memo
+      }
+    });
+    if (encryptFor) {
+      tx.stopEncrypt();
+    }
+    tx.sign(wallet, this.publicKeys[from]);
+    await bot.broadcast(tx);
+
+    logger.info('Transfer broadcast', {
+      from,
+      to,
+      amount: `${formatMilli(amount.milli)} ${amount.symbol}`,
+      trxId: tx.id
+    });
+    return tx.id;
+  }
+}
+
+// Logs the transfers it would send instead of broadcasting them
+export class DryRunBroadcaster {
+  async transfer({ from, to, amount, memo, encryptFor = null }) {
+    const trxId = `dry-run-${randomUUID()}`;
+    logger.info('Dry run: transfer not broadcast', {
+      from,
+      to,
+      amount: `${formatMilli(amount.milli)} ${amount.symbol}`,
+      memo,
+      encrypted: encryptFor !== null,
+      trxId
+    });
+    return trxId;
+  }
+}
+
+export function createBroadcaster({ dryRun, keys, memoKeys, getBot }) {
+  return dryRun ? new DryRunBroadcaster() : new WorkerBeeBroadcaster({ getBot, keys, memoKeys });
+}
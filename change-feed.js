@@ -0,0 +1,128 @@
+import dotenv from 'dotenv';
+import db from './db.js';
+import logger from './logger.js';
+
+dotenv.config();
+
+// Postgres channel that subscription changes are published on
+export const CHANGE_CHANNEL = process.env.SUBSCRIPTION_CHANGE_CHANNEL || 'subscription_changes';
+
+if (!/^[a-z_][a-z0-9_]*$/.test(CHANGE_CHANNEL)) {
+  throw new Error(`Invalid SUBSCRIPTION_CHANGE_CHANNEL: ${CHANGE_CHANNEL}`);
+}
+
+export const CHANGE_TYPES = Object.freeze({
+  CREDITED: 'credited',
+  GRACE: 'grace',
+  EXPIRED: 'expired',
+  TRIAL_GRANTED: 'grant-trial',
+  EXTENDED: 'extend',
+  REVOKED: 'revoke',
+  EXPIRATION_SET: 'set-expiration'
+});
+
+/**
+ * Publish a subscription change with NOTIFY. Called inside the transaction
+ * that makes the change: Postgres only delivers it on commit, and drops it
+ * on rollback.
+ */
+export async function notifyChange(client, type, { username, creator, product, state, active, expirationDate, previousExpirationDate = null }) {
+  const payload = {
+    type,
+    username,
+    creator: creator || null,
+    product,
+    state,
+    active,
+    expirationDate,
+    previousExpirationDate,
+    timestamp: new Date().toISOString()
+  };
+  await client.query('SELECT pg_notify($1, $2)', [CHANGE_CHANNEL, JSON.stringify(payload)]);
+}
+
+/**
+ * LISTENs on the change channel and yields every change as an object:
+ *
+ *   const feed = await listenForChanges();
+ *   for await (const change of feed) { ... }
+ *
+ * Notifications are not stored, so changes made while nothing is listening
+ * are missed; use the webhook outbox where every event must arrive. The loop
+ * ends after close(), and throws if the connection is lost.
+ */
+export class ChangeFeed {
+  constructor({ pool = db.pool, channel = CHANGE_CHANNEL } = {}) {
+    this.pool = pool;
+    this.channel = channel;
+    this.client = null;
+    this.queue = [];
+    this.error = null;
+    this.closed = false;
+    this.wake = null;
+  }
+
+  async start() {
+    this.client = await this.pool.connect();
+    this.client.on('notification', (message) => {
+      try {
+        this.push(JSON.parse(message.payload));
+      } catch (error) {
+        logger.warn('Ignoring malformed subscription change', { payload: message.payload });
+      }
+    });
+    this.client.on('error', (error) => {
+      this.error = error;
+      this.notify();
+    });
+
+    await this.client.query(`LISTEN ${this.channel}`);
+    logger.info('Listening for subscription changes', { channel: this.channel });
+  }
+
+  push(change) {
+    this.queue.push(change);
+    this.notify();
+  }
+
+  notify() {
+    if (this.wake) {
+      this.wake();
+      this.wake = null;
+    }
+  }
+
+  async close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    if (this.client) {
+      await this.client.query(`UNLISTEN ${this.channel}`).catch(() => {});
+      this.client.release(this.error || undefined);
+      this.client = null;
+    }
+    this.notify();
+  }
+
+  async *[Symbol.asyncIterator]() {
+    while (true) {
+      if (this.queue.length > 0) {
+        yield this.queue.shift();
+      } else if (this.error) {
+        throw this.error;
+      } else if (this.closed) {
+        return;
+      } else {
+        await new Promise(resolve => { this.wake = resolve; });
+      }
+    }
+  }
+}
+
+export async function listenForChanges(options) {
+  const feed = new ChangeFeed(options);
+  await feed.start();
+  return feed;
+}
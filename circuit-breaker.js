@@ -1,3 +1,6 @@
+// Every breaker created, so their states can be reported together
+const breakers = new Set();
+
 class CircuitBreaker {
     constructor(options = {}) {
       this.failureThreshold = options.failureThreshold || 5;
@@ -6,6 +9,7 @@ class CircuitBreaker {
       this.isOpen = false;
       this.lastFailureTime = null;
       this.name = options.name || 'unnamed';
+      breakers.add(this);
     }
   
     async execute(operation) {
@@ -56,5 +60,9 @@ class CircuitBreaker {
     }
   }
   
+  export function getCircuitBreakers() {
+    return [...breakers];
+  }
+
   export default CircuitBreaker;
   
\ No newline at end of file
@@ -0,0 +1,31 @@
+/**
+ * The time payments are credited at and subscriptions expire by. It follows
+ * the system clock, except during a replay (see replay.js), which sets it to
+ * the time of each recorded operation so a month of payments can be played
+ * back in seconds.
+ */
+class Clock {
+  constructor() {
+    this.fixedTime = null;
+  }
+
+  now() {
+    return this.fixedTime === null ? new Date() : new Date(this.fixedTime);
+  }
+
+  set(time) {
+    this.fixedTime = new Date(time).getTime();
+  }
+
+  // Back to the system clock
+  reset() {
+    this.fixedTime = null;
+  }
+
+  isFake() {
+    return this.fixedTime !== null;
+  }
+}
+
+const clock = new Clock();
+export default clock;
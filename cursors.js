@@ -0,0 +1,34 @@
+import db from './db.js';
+
+// Last processed position in a watched account's history. `historyIndex` is
+// only known for operations read through get_account_history; the live
+// stream advances `block` alone. Both take the database to use, the
+// configured one by default.
+export async function getCursor(account, client = db) {
+  const result = await client.query(
+    'SELECT last_history_index, last_block FROM sync_cursors WHERE account = $1',
+    [account]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    historyIndex: result.rows[0].last_history_index === null ? null : Number(result.rows[0].last_history_index),
+    block: result.rows[0].last_block
+  };
+}
+
+// Cursors only move forward, whichever order the updates arrive in
+export async function saveCursor(account, { historyIndex = null, block }, client = db) {
+  await client.query(`
+    INSERT INTO sync_cursors (account, last_history_index, last_block)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (account)
+    DO UPDATE SET
+      last_history_index = GREATEST(sync_cursors.last_history_index, EXCLUDED.last_history_index),
+      last_block = GREATEST(sync_cursors.last_block, EXCLUDED.last_block),
+      date_updated = CURRENT_TIMESTAMP
+  `, [account, historyIndex, block]);
+}
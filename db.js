@@ -3,23 +3,22 @@ import dotenv from 'dotenv';
 import logger from './logger.js';
 import CircuitBreaker from './circuit-breaker.js';
 import RetryOperation from './retry.js';
+import { dbQueryDuration } from './metrics.js';
 
 dotenv.config();
 
 const { Pool } = pg;
 
-class Database {
-  constructor() {
-    this.pool = new Pool({
-      host: process.env.POSTGRES_HOST,
-      port: process.env.POSTGRES_PORT,
-      database: process.env.POSTGRES_DB,
-      user: process.env.POSTGRES_USER,
-      password: process.env.POSTGRES_PASSWORD,
-      max: 20,
-      idleTimeoutMillis: 30000,
-      connectionTimeoutMillis: 2000,
-    });
+/**
+ * A Postgres pool behind a circuit breaker and retries. The pool is only
+ * created when first used, so importing this module doesn't connect.
+ * `config` is passed to pg.Pool on top of the POSTGRES_* settings, e.g.
+ * { connectionString } for a test database.
+ */
+export class Database {
+  constructor(config = {}) {
+    this.config = config;
+    this.poolInstance = null;
 
     this.circuitBreaker = new CircuitBreaker({
         name: 'database',
@@ -33,9 +32,30 @@ class Database {
         delay: 1000,
         backoffFactor: 2
     });
+  }
+
+  get pool() {
+    if (!this.poolInstance) {
+      this.poolInstance = this.createPool();
+    }
+    return this.poolInstance;
+  }
+
+  createPool() {
+    const pool = new Pool({
+      host: process.env.POSTGRES_HOST,
+      port: process.env.POSTGRES_PORT,
+      database: process.env.POSTGRES_DB,
+      user: process.env.POSTGRES_USER,
+      password: process.env.POSTGRES_PASSWORD,
+      max: 20,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 2000,
+      ...this.config
+    });
 
     // Handle pool errors
-    this.pool.on('error', (err, client) => {
+    pool.on('error', (err, client) => {
       logger.error('Unexpected error on idle client', {
         error: err.message,
         stack: err.stack
@@ -49,18 +69,22 @@ class Database {
       database: process.env.POSTGRES_DB,
       user: process.env.POSTGRES_USER
     });
+    return pool;
   }
 
   async query(text, params) {
     return this.circuitBreaker.execute(async () => {
       return this.retry.execute(async () => {
         const start = Date.now();
+        const endTimer = dbQueryDuration.startTimer();
         try {
           const result = await this.pool.query(text, params);
           const duration = Date.now() - start;
+          endTimer({ status: 'success' });
           logger.debug('Executed query', { text, duration, rows: result.rowCount });
           return result;
         } catch (error) {
+          endTimer({ status: 'error' });
           logger.error('Database query error:', { error: error.message, query: text });
           throw error;
         }
@@ -68,9 +92,35 @@ class Database {
     });
   }
 
+  // Run callback(client) inside BEGIN/COMMIT on a single pooled client.
+  // The whole transaction is retried, so callback must be safe to re-run.
+  async transaction(callback) {
+    return this.circuitBreaker.execute(async () => {
+      return this.retry.execute(async () => {
+        const client = await this.pool.connect();
+        try {
+          await client.query('BEGIN');
+          const result = await callback(client);
+          await client.query('COMMIT');
+          return result;
+        } catch (error) {
+          await client.query('ROLLBACK').catch(() => {});
+          logger.error('Database transaction error:', { error: error.message });
+          throw error;
+        } finally {
+          client.release();
+        }
+      });
+    });
+  }
+
   async end() {
+    if (!this.poolInstance) {
+      return;
+    }
     try {
-      await this.pool.end();
+      await this.poolInstance.end();
+      this.poolInstance = null;
       logger.info('Database pool has ended');
     } catch (error) {
       logger.error('Error closing database pool:', {
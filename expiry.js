@@ -0,0 +1,118 @@
+import { DateTime } from 'luxon';
+import db from './db.js';
+import clock from './clock.js';
+import defaultLogger from './logger.js';
+import { queueEvent, WEBHOOK_EVENTS } from './webhooks.js';
+import { notifyChange, CHANGE_TYPES } from './change-feed.js';
+import { recordTransition, SUBSCRIPTION_STATES, ACTIVE_STATES } from './subscription-states.js';
+
+// When the grace period after `expirationDate` ends, in whole hours like
+// the grace end reported by the API
+export function getGraceEnd(expirationDate, graceDays) {
+  return DateTime.fromJSDate(expirationDate).plus({ hours: Math.round(Number(graceDays) * 24) }).toJSDate();
+}
+
+/**
+ * The state a subscription should be in at `now`, or null if it stays as it
+ * is. Paid subscriptions enter their plan's grace period when they expire;
+ * trials, and subscriptions whose grace period is over, expire.
+ */
+export function getLapsedState({ state, expirationDate, graceDays }, now) {
+  if (!ACTIVE_STATES.includes(state) || expirationDate >= now) {
+    return null;
+  }
+
+  const inGrace = state !== SUBSCRIPTION_STATES.TRIAL && getGraceEnd(expirationDate, graceDays) > now;
+  const next = inGrace ? SUBSCRIPTION_STATES.GRACE : SUBSCRIPTION_STATES.EXPIRED;
+  return next === state ? null : next;
+}
+
+/**
+ * Move every subscription that lapsed by `now` into grace or expired, with
+ * its webhook event and change feed notification, in one transaction.
+ * Returns { grace, expired }, the subscriptions moved into each state.
+ */
+export async function checkExpiredSubscriptions({ database = db, now = clock.now(), logger = defaultLogger } = {}) {
+  const lapsed = await database.transaction(async (client) => {
+    const result = await client.query(`
+      SELECT username, creator, product, state, expiration_date, grace_days
+      FROM subscriptions
+      WHERE state = ANY($1) AND expiration_date < $2
+      FOR UPDATE
+    `, [ACTIVE_STATES, now]);
+
+    const changed = [];
+    for (const row of result.rows) {
+      const subscription = {
+        username: row.username,
+        creator: row.creator,
+        product: row.product,
+        state: row.state,
+        expirationDate: new Date(row.expiration_date),
+        graceEndsAt: getGraceEnd(new Date(row.expiration_date), row.grace_days)
+      };
+      const nextState = getLapsedState({ ...subscription, graceDays: row.grace_days }, now);
+      if (!nextState) {
+        continue;
+      }
+
+      const inGrace = nextState === SUBSCRIPTION_STATES.GRACE;
+      let reason = `Expired on ${subscription.expirationDate.toISOString()}`;
+      if (inGrace) {
+        reason += `; grace period until ${subscription.graceEndsAt.toISOString()}`;
+      } else if (subscription.state === SUBSCRIPTION_STATES.GRACE) {
+        reason = `Grace period ended on ${subscription.graceEndsAt.toISOString()}`;
+      }
+      await recordTransition(client, subscription, subscription.state, nextState, reason);
+
+      await queueEvent(client, inGrace ? WEBHOOK_EVENTS.SUBSCRIPTION_GRACE : WEBHOOK_EVENTS.SUBSCRIPTION_EXPIRED, {
+        username: subscription.username,
+        creator: subscription.creator || null,
+        product: subscription.product,
+        state: nextState,
+        reason,
+        expirationDate: subscription.expirationDate,
+        graceEndsAt: subscription.graceEndsAt
+      });
+      await notifyChange(client, inGrace ? CHANGE_TYPES.GRACE : CHANGE_TYPES.EXPIRED, {
+        username: subscription.username,
+        creator: subscription.creator,
+        product: subscription.product,
+        state: nextState,
+        active: inGrace,
+        expirationDate: subscription.expirationDate
+      });
+      changed.push({ ...subscription, state: nextState });
+    }
+    return changed;
+  });
+
+  const grace = lapsed.filter(subscription => subscription.state === SUBSCRIPTION_STATES.GRACE);
+  if (grace.length > 0) {
+    logger.info('Subscriptions entered their grace period', {
+      count: grace.length,
+      subscriptions: grace.map(subscription => `${subscription.username}/${subscription.product}`)
+    });
+  }
+
+  const expired = lapsed.filter(subscription => subscription.state === SUBSCRIPTION_STATES.EXPIRED);
+  if (expired.length > 0) {
+    // Report each creator's lapsed subscribers separately
+    const byCreator = {};
+    for (const subscription of expired) {
+      const creator = subscription.creator || '(none)';
+      (byCreator[creator] = byCreator[creator] || []).push(`${subscription.username}/${subscription.product}`);
+    }
+    for (const [creator, subscriptions] of Object.entries(byCreator)) {
+      logger.info('Deactivated subscriptions', {
+        creator,
+        count: subscriptions.length,
+        subscriptions
+      });
+    }
+  } else if (grace.length === 0) {
+    logger.debug('No subscriptions to deactivate');
+  }
+
+  return { grace, expired };
+}
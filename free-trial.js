@@ -1,21 +1,16 @@
+import os from 'os';
 import readline from 'readline';
 import { DateTime } from 'luxon';
 import dotenv from 'dotenv';
-import pg from 'pg';
-import logger from './logger.js';
+import db from './db.js';
+import { DEFAULT_PRODUCT } from './products.js';
+import { getPlanCatalog } from './plans.js';
+import { isValidAccountName, normalizeAccountName } from './hive-account.js';
+import { grantTrial, revokeSubscription } from './subscription-service.js';
 
 // Load environment variables
 dotenv.config();
 
-// Create database connection
-const db = new pg.Pool({
-  host: process.env.POSTGRES_HOST,
-  port: process.env.POSTGRES_PORT,
-  database: process.env.POSTGRES_DB,
-  user: process.env.POSTGRES_USER,
-  password: process.env.POSTGRES_PASSWORD
-});
-
 // Create readline interface
 const rl = readline.createInterface({
   input: process.stdin,
@@ -24,61 +19,55 @@ const rl = readline.createInterface({
 
 const question = (query) => new Promise((resolve) => rl.question(query, resolve));
 
-async function addFreeTrial(username, days) {
-  const subscriptionDate = DateTime.now();
-  // If days is 0, set expiration to current time, otherwise add days
-  const expirationDate = days === 0 ? subscriptionDate : subscriptionDate.plus({ days });
-
-  try {
-    const query = `
-      INSERT INTO subscriptions (username, subscription_date, expiration_date)
-      VALUES ($1, $2, $3)
-      ON CONFLICT (username) 
-      DO UPDATE SET 
-        subscription_date = EXCLUDED.subscription_date,
-        expiration_date = EXCLUDED.expiration_date,
-        date_updated = CURRENT_TIMESTAMP,
-        active_subscription = ${days > 0}
-      WHERE subscriptions.expiration_date < EXCLUDED.expiration_date
-        OR $4 = 0  -- Allow immediate expiration when days = 0
-    `;
-    
-    await db.query(query, [
-      username,
-      subscriptionDate.toJSDate(),
-      expirationDate.toJSDate(),
-      days
-    ]);
+async function addFreeTrial(username, creator, product, days, reason) {
+  // Recorded in the admin audit log as the local account running the script
+  const audit = { admin: `cli:${os.userInfo().username}`, reason };
+  const target = { username, creator, product };
 
-    logger.info(days === 0 ? 'Expired subscription' : 'Added free trial', {
-      username,
-      subscriptionDate: subscriptionDate.toISO(),
-      expirationDate: expirationDate.toISO(),
-      days
-    });
-
-    if (days === 0) {
-      console.log(`Successfully expired subscription for @${username}`);
+  if (days === 0) {
+    const subscription = await revokeSubscription(target, audit);
+    if (subscription) {
+      console.log(`Successfully expired ${product} subscription for @${username}`);
     } else {
-      console.log(`Successfully added ${days}-day free trial for @${username}`);
-      console.log(`Trial expires on: ${expirationDate.toLocaleString(DateTime.DATETIME_FULL)}`);
+      console.log(`@${username} has no ${product} subscription to expire, or it is already revoked`);
     }
+    return;
+  }
 
-  } catch (error) {
-    logger.error('Error managing subscription:', {
-      error: error.message,
-      username,
-      days
-    });
-    console.error('Error managing subscription:', error.message);
+  const subscription = await grantTrial({ ...target, days }, audit);
+  if (subscription) {
+    console.log(`Successfully added ${days}-day ${product} free trial for @${username}`);
+    console.log(`Trial expires on: ${DateTime.fromJSDate(subscription.expirationDate).toLocaleString(DateTime.DATETIME_FULL)}`);
+  } else {
+    console.log(`@${username} already has a ${product} subscription running longer than ${days} days`);
   }
 }
 
 async function main() {
   try {
-    const username = await question('Enter Hive username (without @): ');
-    if (!username || username.length > 16) {
-      throw new Error('Invalid username. Must be between 1 and 16 characters.');
+    const username = normalizeAccountName(await question('Enter Hive username (without @): '));
+    if (!isValidAccountName(username)) {
+      throw new Error(`Invalid username. "${username}" is not a valid Hive account name.`);
+    }
+
+    const planCatalog = getPlanCatalog();
+    const products = planCatalog.getProducts();
+    const defaultProduct = products.includes(DEFAULT_PRODUCT) ? DEFAULT_PRODUCT : products[0];
+    const productInput = await question(`Enter product (${products.join(', ')}) [${defaultProduct}]: `);
+    const product = productInput.trim() || defaultProduct;
+    if (!products.includes(product)) {
+      throw new Error(`Invalid product. Must be one of: ${products.join(', ')}.`);
+    }
+
+    // Creator products need to know whose subscribers to add the user to
+    const creators = planCatalog.getCreators(product);
+    let creator = null;
+    if (creators.length > 0) {
+      const creatorInput = await question(`Enter creator (${creators.join(', ')}) [${creators[0]}]: `);
+      creator = creatorInput.trim().toLowerCase() || creators[0];
+      if (!creators.includes(creator)) {
+        throw new Error(`Invalid creator. Must be one of: ${creators.join(', ')}.`);
+      }
     }
 
     const daysInput = await question('Enter number of days for free trial (0 to expire immediately): ');
@@ -87,7 +76,12 @@ async function main() {
       throw new Error('Invalid number of days. Must be zero or a positive number.');
     }
 
-    await addFreeTrial(username, days);
+    const reason = (await question('Enter a reason for the audit log: ')).trim();
+    if (!reason) {
+      throw new Error('A reason is required.');
+    }
+
+    await addFreeTrial(username, creator, product, days, reason);
   } catch (error) {
     console.error('Error:', error.message);
   } finally {
@@ -1,17 +1,37 @@
 import express from 'express';
 import logger from './logger.js';
 import db from './db.js';
+import nodePool from './node-pool.js';
+import { getCircuitBreakers } from './circuit-breaker.js';
+import { getPendingPaymentSummary } from './payments.js';
+import {
+  registry,
+  activeSubscriptions,
+  paymentsPending,
+  dbPoolConnections,
+  circuitBreakerOpen,
+  hiveHeadBlock,
+  hiveLastBlock,
+  hiveStreamLag
+} from './metrics.js';
+import { createApiRouter, createAdminRouter } from './api.js';
 
 class HealthCheck {
   constructor() {
     this.app = express();
     this.port = process.env.HEALTH_CHECK_PORT || 3020;
+    // /readyz fails when the stream falls further behind the head block than this
+    this.maxBlockLag = Number(process.env.READY_MAX_BLOCK_LAG) || 40;
     this.lastSuccessfulCheck = Date.now();
     this.server = null;
     this.setupRoutes();
   }
 
   setupRoutes() {
+    // Authenticated subscription and payment lookups, and admin changes
+    this.app.use(createApiRouter());
+    this.app.use(createAdminRouter());
+
     this.app.get('/health', async (req, res) => {
       try {
         // Check DB connection
@@ -44,6 +64,26 @@ class HealthCheck {
       }
     });
 
+    // Liveness: the process is up and its event loop answers
+    this.app.get('/livez', (req, res) => {
+      res.status(200).json({
+        status: 'alive',
+        uptime: process.uptime(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Readiness: payments are being picked up as they happen
+    this.app.get('/readyz', (req, res) => {
+      const { ready, reasons, hive } = this.getReadiness();
+      res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not ready',
+        reasons,
+        hive,
+        timestamp: new Date().toISOString()
+      });
+    });
+
     // Detailed status endpoint
     this.app.get('/status', async (req, res) => {
       try {
@@ -54,6 +94,14 @@ class HealthCheck {
         const dbResult = await db.query(
           'SELECT COUNT(*) as total, SUM(CASE WHEN active_subscription THEN 1 ELSE 0 END) as active FROM subscriptions'
         );
+        const productResult = await db.query(
+          'SELECT product, COUNT(*) as total, SUM(CASE WHEN active_subscription THEN 1 ELSE 0 END) as active FROM subscriptions GROUP BY product'
+        );
+        const creatorResult = await db.query(
+          "SELECT creator, COUNT(*) as total, SUM(CASE WHEN active_subscription THEN 1 ELSE 0 END) as active FROM subscriptions WHERE creator <> '' GROUP BY creator"
+        );
+        const pending = await getPendingPaymentSummary();
+        const processor = global.monitor?.processor;
 
         res.status(200).json({
           uptime: process.uptime(),
@@ -64,14 +112,30 @@ class HealthCheck {
             lastFailure: dbState.lastFailureTime ? new Date(dbState.lastFailureTime).toISOString() : null,
             statistics: {
               totalSubscriptions: parseInt(dbResult.rows[0].total),
-              activeSubscriptions: parseInt(dbResult.rows[0].active)
+              activeSubscriptions: parseInt(dbResult.rows[0].active),
+              products: Object.fromEntries(productResult.rows.map(row => [row.product, {
+                totalSubscriptions: parseInt(row.total),
+                activeSubscriptions: parseInt(row.active)
+              }])),
+              creators: Object.fromEntries(creatorResult.rows.map(row => [row.creator, {
+                totalSubscriptions: parseInt(row.total),
+                activeSubscriptions: parseInt(row.active)
+              }]))
             }
           },
           hive: {
             connected: global.monitor?.isConnected || false,
             failures: hiveState?.failureCount || 0,
             lastFailure: hiveState?.lastFailureTime ? new Date(hiveState.lastFailureTime).toISOString() : null,
-            reconnectAttempts: global.monitor?.reconnectAttempts || 0
+            reconnectAttempts: global.monitor?.reconnectAttempts || 0,
+            apiNodes: nodePool.getState()
+          },
+          // Payments waiting for their block to become irreversible
+          payments: {
+            waitForIrreversible: processor?.waitForIrreversible || false,
+            lastIrreversibleBlock: processor?.lastIrreversibleBlock ?? null,
+            pending: pending.count,
+            oldestPendingBlock: pending.oldestBlock
           },
           timestamp: new Date().toISOString()
         });
@@ -85,6 +149,18 @@ class HealthCheck {
       }
     });
 
+    // Prometheus metrics
+    this.app.get('/metrics', async (req, res) => {
+      try {
+        await this.updateMetrics();
+        res.set('Content-Type', registry.contentType);
+        res.end(await registry.metrics());
+      } catch (error) {
+        logger.error('Metrics collection failed:', { error: error.message });
+        res.status(500).end(error.message);
+      }
+    });
+
     // Debug endpoint (only available in development)
     if (process.env.NODE_ENV !== 'production') {
       this.app.get('/debug', async (req, res) => {
@@ -126,6 +202,104 @@ class HealthCheck {
     }
   }
 
+  /**
+   * Not ready while the Hive monitor isn't streaming, is still catching up,
+   * or is more than maxBlockLag blocks behind the head block; or while the
+   * database or Hive connection breaker is open, or every API node's is.
+   * Breakers for webhook receivers don't count: they don't stop payments
+   * from being credited.
+   */
+  getReadiness() {
+    const reasons = [];
+    const monitor = global.monitor;
+    const hive = monitor ? monitor.getState() : null;
+
+    if (!monitor) {
+      reasons.push('Hive monitor has not started');
+    } else {
+      if (!hive.isConnected) {
+        reasons.push('Hive stream is not connected');
+      }
+      if (hive.isCatchingUp) {
+        reasons.push('Catching up on missed operations');
+      }
+      if (hive.blockLag === null) {
+        reasons.push('No blocks processed yet');
+      } else if (hive.blockLag > this.maxBlockLag) {
+        reasons.push(`Hive stream is ${hive.blockLag} blocks behind head (limit ${this.maxBlockLag})`);
+      }
+      if (monitor.circuitBreaker.isOpen) {
+        reasons.push('Hive connection circuit breaker is open');
+      }
+    }
+
+    if (db.circuitBreaker.isOpen) {
+      reasons.push('Database circuit breaker is open');
+    }
+    const nodes = nodePool.getState().nodes;
+    if (nodes.length > 0 && nodes.every(node => node.circuitBreaker.isOpen)) {
+      reasons.push('Circuit breakers of all Hive API nodes are open');
+    }
+
+    return {
+      ready: reasons.length === 0,
+      reasons,
+      hive: hive && {
+        connected: hive.isConnected,
+        catchingUp: hive.isCatchingUp,
+        lastBlock: hive.lastBlock,
+        headBlock: nodePool.getHeadBlock(),
+        blockLag: hive.blockLag,
+        maxBlockLag: this.maxBlockLag
+      }
+    };
+  }
+
+  // Fill in the gauges that describe current state before a scrape
+  async updateMetrics() {
+    dbPoolConnections.set({ state: 'total' }, db.pool.totalCount);
+    dbPoolConnections.set({ state: 'idle' }, db.pool.idleCount);
+    dbPoolConnections.set({ state: 'waiting' }, db.pool.waitingCount);
+
+    circuitBreakerOpen.reset();
+    for (const breaker of getCircuitBreakers()) {
+      circuitBreakerOpen.set({ name: breaker.name }, breaker.isOpen ? 1 : 0);
+    }
+
+    const headBlock = nodePool.getHeadBlock();
+    const hiveState = global.monitor?.getState();
+    if (headBlock !== null) {
+      hiveHeadBlock.set(headBlock);
+    }
+    if (hiveState?.lastBlock) {
+      hiveLastBlock.set(hiveState.lastBlock);
+    }
+    if (hiveState && hiveState.blockLag !== null) {
+      hiveStreamLag.set(hiveState.blockLag);
+    }
+
+    // Keep serving the other metrics while the database is unavailable
+    try {
+      const result = await db.query(
+        'SELECT product, state, COUNT(*) AS total FROM subscriptions WHERE active_subscription GROUP BY product, state'
+      );
+      activeSubscriptions.reset();
+      for (const row of result.rows) {
+        activeSubscriptions.set({ product: row.product, state: row.state }, parseInt(row.total));
+      }
+
+      const pending = await db.query(
+        "SELECT COALESCE(product, 'none') AS product, COUNT(*) AS total FROM payments WHERE outcome = 'pending' GROUP BY 1"
+      );
+      paymentsPending.reset();
+      for (const row of pending.rows) {
+        paymentsPending.set({ product: row.product }, parseInt(row.total));
+      }
+    } catch (error) {
+      logger.warn('Could not count subscriptions and pending payments for metrics', { error: error.message });
+    }
+  }
+
   updateLastCheck() {
     this.lastSuccessfulCheck = Date.now();
     logger.debug('Health check timestamp updated');
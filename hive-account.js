@@ -0,0 +1,17 @@
+// Hive account names are 3-16 characters long and made of dot-separated
+// segments. Each segment is at least 3 characters, starts with a letter,
+// ends with a letter or digit and otherwise holds only letters, digits and
+// dashes. Only lowercase is valid on chain.
+const SEGMENT_PATTERN = /^[a-z][a-z0-9-]+[a-z0-9]$/;
+
+export function isValidAccountName(name) {
+  if (typeof name !== 'string' || name.length < 3 || name.length > 16) {
+    return false;
+  }
+  return name.split('.').every(segment => SEGMENT_PATTERN.test(segment));
+}
+
+// Lowercase and strip a leading @, so "@MightPossibly" can be validated
+export function normalizeAccountName(name) {
+  return String(name).trim().replace(/^@/, '').toLowerCase();
+}
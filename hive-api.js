@@ -0,0 +1,35 @@
+import nodePool from './node-pool.js';
+
+// Call a Hive JSON-RPC method on the healthiest configured node
+export async function callHiveApi(method, params) {
+  return nodePool.call(method, params);
+}
+
+export async function accountExists(username) {
+  const accounts = await callHiveApi('condenser_api.get_accounts', [[username]]);
+  return accounts.length > 0;
+}
+
+// Public memo key of an account, or null if it doesn't exist
+export async function getMemoKey(username) {
+  const accounts = await callHiveApi('condenser_api.get_accounts', [[username]]);
+  return accounts.length > 0 ? accounts[0].memo_key : null;
+}
+
+export async function getLastIrreversibleBlock() {
+  const properties = await callHiveApi('condenser_api.get_dynamic_global_properties', []);
+  return properties.last_irreversible_block_num;
+}
+
+// Block a transaction is in, or null while it isn't in one (still waiting
+// to be included, expired, or too old for transaction_status_api to know)
+export async function findTransactionBlock(trxId) {
+  const result = await callHiveApi('transaction_status_api.find_transaction', { transaction_id: trxId });
+  return ['within_reversible_block', 'within_irreversible_block'].includes(result.status) ? result.block_num : null;
+}
+
+// Every operation in a block, virtual ones included, in the shape
+// condenser_api.get_account_history returns them
+export async function getOperationsInBlock(block) {
+  return callHiveApi('condenser_api.get_ops_in_block', [block, false]);
+}
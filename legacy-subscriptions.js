@@ -0,0 +1,74 @@
+import db from './db.js';
+import defaultLogger from './logger.js';
+import { getPlanCatalog } from './plans.js';
+import { PRODUCTS } from './products.js';
+
+// Tables keyed by subscription whose legacy LEO rows move with it. The
+// admin audit log and the payments ledger are records of the past and
+// keep what they said at the time.
+const SUBSCRIPTION_TABLES = ['subscriptions', 'subscription_transitions', 'subscription_periods', 'subscription_reminders'];
+
+/**
+ * Databases from before multi-creator tracking hold their LEO subscriptions
+ * with an empty creator (see migrations/001_subscriptions.sql). A payment
+ * for `subscribe:<creator>` would start a second subscription next to such
+ * a row instead of extending it, so they are assigned to the creator on
+ * startup when the plan catalog has exactly one LEO creator. A catalog
+ * whose LEO plans have no creator keeps them as they are, since that is
+ * how it stores every LEO subscription. With several creators, or when a
+ * subscriber already has a row for the creator, there is no safe choice
+ * and this throws, so the tracker doesn't start until they are assigned by
+ * hand. Returns the number of subscriptions assigned.
+ */
+export async function assignLegacyCreator({ database = db, plans = getPlanCatalog(), logger = defaultLogger } = {}) {
+  const product = PRODUCTS.LEO_PREMIUM;
+  const creators = plans.getCreators(product);
+  if (creators.length === 0) {
+    return 0;
+  }
+
+  return database.transaction(async (client) => {
+    const legacy = await client.query(
+      "SELECT username FROM subscriptions WHERE product = $1 AND creator = '' FOR UPDATE",
+      [product]
+    );
+    if (legacy.rows.length === 0) {
+      return 0;
+    }
+
+    if (creators.length > 1) {
+      throw new Error(
+        `${legacy.rows.length} ${product} subscriptions have no creator, and the plan catalog has ` +
+        `${creators.length} ${product} creators to choose from; assign them with ` +
+        `UPDATE subscriptions SET creator = '<account>' WHERE product = '${product}' AND creator = ''`
+      );
+    }
+    const [creator] = creators;
+
+    const conflicts = await client.query(`
+      SELECT legacy.username
+      FROM subscriptions legacy
+      JOIN subscriptions current
+        ON current.username = legacy.username AND current.product = legacy.product AND current.creator = $2
+      WHERE legacy.product = $1 AND legacy.creator = ''
+      ORDER BY legacy.username
+    `, [product, creator]);
+    if (conflicts.rows.length > 0) {
+      throw new Error(
+        `These accounts have a ${product} subscription both without a creator and for @${creator}; ` +
+        `merge them by hand: ${conflicts.rows.map(row => row.username).join(', ')}`
+      );
+    }
+
+    for (const table of SUBSCRIPTION_TABLES) {
+      await client.query(`UPDATE ${table} SET creator = $2 WHERE product = $1 AND creator = ''`, [product, creator]);
+    }
+
+    logger.info('Assigned legacy subscriptions to their creator', {
+      product,
+      creator,
+      count: legacy.rows.length
+    });
+    return legacy.rows.length;
+  });
+}
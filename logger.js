@@ -21,8 +21,17 @@ const logFormat = printf(({ level, message, timestamp, stack, ...metadata }) =>
   return log;
 });
 
+const consoleTransport = new transports.Console({
+  format: combine(
+    colorize(),
+    logFormat
+  )
+});
+
 const logger = createLogger({
   level: process.env.LOG_LEVEL || 'info',
+  // The test suite sets NODE_ENV=test; its tests check results, not log lines
+  silent: process.env.NODE_ENV === 'test',
   format: combine(
     timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     errors({ stack: true }),
@@ -30,12 +39,7 @@ const logger = createLogger({
   ),
   transports: [
     // Console logging
-    new transports.Console({
-      format: combine(
-        colorize(),
-        logFormat
-      )
-    }),
+    consoleTransport,
     
     // Rotating file for all logs
     new transports.DailyRotateFile({
@@ -58,6 +62,13 @@ const logger = createLogger({
   ]
 });
 
+// Send console logs to stderr, for scripts that print their results on stdout
+export function logToStderr() {
+  consoleTransport.stderrLevels = Object.fromEntries(
+    Object.keys(logger.levels).map(level => [level, true])
+  );
+}
+
 // Create a stream for Morgan (if we add HTTP logging later)
 logger.stream = {
   write: (message) => logger.info(message.trim())
@@ -0,0 +1,27 @@
+// Gift memos name the account to credit after the plan's usual memo:
+// "subscribe:<creator>:gift:<recipient>", or just "gift:<recipient>" for
+// plans that don't require a memo.
+const GIFT_PATTERN = /^(?:(.*):)?gift:@?([a-z0-9.-]{3,16})$/i;
+
+/**
+ * Split a gift suffix off a transfer memo.
+ * Returns { memo, recipient }, where memo is what the plan's memo pattern is
+ * matched against and recipient is null for a regular payment.
+ */
+export function parseGiftMemo(memo) {
+  const match = memo.trim().match(GIFT_PATTERN);
+  if (!match) {
+    return { memo, recipient: null };
+  }
+
+  return {
+    memo: match[1] || '',
+    recipient: match[2].toLowerCase()
+  };
+}
+
+// The creator named by a "subscribe:<creator>" memo, or null
+export function parseSubscribeMemo(memo) {
+  const match = memo.trim().match(/^subscribe:@?([a-z0-9.-]{3,16})$/i);
+  return match ? match[1].toLowerCase() : null;
+}
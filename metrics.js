@@ -0,0 +1,100 @@
+import client from 'prom-client';
+
+/**
+ * Prometheus metrics, served in text format on /metrics by health.js.
+ * Counters and histograms are updated where things happen; gauges that
+ * describe current state (subscriptions, pool, breakers, stream lag) are
+ * filled in by health.js on each scrape.
+ */
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry, prefix: 'subscriptions_' });
+
+// Every transfer to a payment account, by outcome: credited, rejected,
+// duplicate (already in the ledger) or failed. With WAIT_FOR_IRREVERSIBLE a
+// transfer is only counted once it is settled (credited, rejected or
+// orphaned); until then it is in paymentsPending. Rejected payments have no
+// product and are counted as "none".
+export const paymentsTotal = new client.Counter({
+  name: 'subscriptions_payments_total',
+  help: 'Transfers to payment accounts seen, by product and outcome',
+  labelNames: ['product', 'outcome'],
+  registers: [registry]
+});
+
+export const paymentsPending = new client.Gauge({
+  name: 'subscriptions_payments_pending',
+  help: 'Payments waiting for their block to become irreversible, by product',
+  labelNames: ['product'],
+  registers: [registry]
+});
+
+export const activeSubscriptions = new client.Gauge({
+  name: 'subscriptions_active',
+  help: 'Active subscriptions, by product and state',
+  labelNames: ['product', 'state'],
+  registers: [registry]
+});
+
+export const expiryRunDuration = new client.Histogram({
+  name: 'subscriptions_expiry_run_duration_seconds',
+  help: 'Duration of the expired subscriptions check',
+  labelNames: ['status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
+
+export const dbQueryDuration = new client.Histogram({
+  name: 'subscriptions_db_query_duration_seconds',
+  help: 'Duration of database queries, by status',
+  labelNames: ['status'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [registry]
+});
+
+export const dbPoolConnections = new client.Gauge({
+  name: 'subscriptions_db_pool_connections',
+  help: 'Database pool connections: total, idle, and clients waiting for one',
+  labelNames: ['state'],
+  registers: [registry]
+});
+
+export const circuitBreakerOpen = new client.Gauge({
+  name: 'subscriptions_circuit_breaker_open',
+  help: 'Whether a circuit breaker is open (1) or closed (0)',
+  labelNames: ['name'],
+  registers: [registry]
+});
+
+export const retriesTotal = new client.Counter({
+  name: 'subscriptions_retries_total',
+  help: 'Operations retried after a failed attempt, by operation',
+  labelNames: ['name'],
+  registers: [registry]
+});
+
+export const retryFailuresTotal = new client.Counter({
+  name: 'subscriptions_retry_failures_total',
+  help: 'Operations that failed after their last attempt, by operation',
+  labelNames: ['name'],
+  registers: [registry]
+});
+
+export const hiveHeadBlock = new client.Gauge({
+  name: 'subscriptions_hive_head_block',
+  help: 'Highest head block reported by the Hive API nodes',
+  registers: [registry]
+});
+
+export const hiveLastBlock = new client.Gauge({
+  name: 'subscriptions_hive_last_processed_block',
+  help: 'Highest block seen by the Hive stream or processed by catch-up',
+  registers: [registry]
+});
+
+export const hiveStreamLag = new client.Gauge({
+  name: 'subscriptions_hive_stream_lag_blocks',
+  help: 'Blocks between the Hive head block and the last processed block',
+  registers: [registry]
+});
+
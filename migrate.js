@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import db from './db.js';
+import logger from './logger.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+// Arbitrary key for pg_advisory_lock, shared by every process that migrates
+const MIGRATION_LOCK_KEY = 7240311;
+
+// migrations/NNN_name.sql, in version order
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.sql'))
+    .sort()
+    .map(file => {
+      const match = file.match(/^(\d+)_([\w-]+)\.sql$/);
+      if (!match) {
+        throw new Error(`Migration file names must look like 001_name.sql: ${file}`);
+      }
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      return {
+        version: match[1],
+        name: match[2],
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    });
+}
+
+/**
+ * Apply every migration in migrations/ that isn't recorded in
+ * schema_migrations yet, each in its own transaction, in version order.
+ * An advisory lock makes concurrent callers wait for each other, so two
+ * instances starting at once don't both migrate.
+ *
+ * With `checkOnly`, nothing is applied and nothing is written: no lock is
+ * taken, and a database without schema_migrations has every migration
+ * pending. `database` defaults to the one
+ * configured by the POSTGRES_* settings. Throws if an applied migration was
+ * edited afterwards. Returns { applied, pending } version lists.
+ */
+export async function migrate({ checkOnly = false, dir = MIGRATIONS_DIR, database = db } = {}) {
+  const migrations = loadMigrations(dir);
+  const client = await database.pool.connect();
+  let locked = false;
+
+  try {
+    let applied = new Map();
+    if (checkOnly) {
+      const table = await client.query("SELECT to_regclass('schema_migrations') AS name");
+      if (table.rows[0].name !== null) {
+        applied = await getAppliedMigrations(client);
+      }
+    } else {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      locked = true;
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version VARCHAR(16) PRIMARY KEY,
+          name VARCHAR(128) NOT NULL,
+          checksum CHAR(64) NOT NULL,
+          applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      applied = await getAppliedMigrations(client);
+    }
+
+    const changed = migrations.filter(migration => applied.has(migration.version) &&
+      applied.get(migration.version) !== migration.checksum);
+    if (changed.length > 0) {
+      throw new Error(`Applied migrations were modified: ${changed.map(m => `${m.version}_${m.name}`).join(', ')}`);
+    }
+
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    if (checkOnly || pending.length === 0) {
+      return { applied: [], pending: pending.map(migration => migration.version) };
+    }
+
+    for (const migration of pending) {
+      logger.info('Applying migration', { version: migration.version, name: migration.name });
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+    }
+
+    logger.info('Database schema is up to date', { applied: pending.map(migration => migration.version) });
+    return { applied: pending.map(migration => migration.version), pending: [] };
+  } finally {
+    if (locked) {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    }
+    client.release();
+  }
+}
+
+// Checksum of every applied migration, by version
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT version, checksum FROM schema_migrations');
+  return new Map(result.rows.map(row => [row.version, row.checksum]));
+}
+
+// node migrate.js [--check]: apply pending migrations, or with --check only
+// list them and exit with 1 if there are any
+async function main() {
+  const checkOnly = process.argv.includes('--check');
+  try {
+    const { applied, pending } = await migrate({ checkOnly });
+    if (checkOnly) {
+      console.log(pending.length > 0
+        ? `Pending migrations: ${pending.join(', ')}`
+        : 'No pending migrations');
+      process.exitCode = pending.length > 0 ? 1 : 0;
+    } else {
+      console.log(applied.length > 0 ? `Applied migrations: ${applied.join(', ')}` : 'No pending migrations');
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 2;
+  } finally {
+    await db.end();
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
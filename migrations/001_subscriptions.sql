@@ -0,0 +1,37 @@
+-- 001 to 009 were init.sql, which was run by hand with psql. They are
+-- idempotent, so they also apply cleanly to databases set up that way.
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(16) NOT NULL,
+    product VARCHAR(32) NOT NULL,
+    subscription_date TIMESTAMP NOT NULL,
+    expiration_date TIMESTAMP NOT NULL,
+    date_updated TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    active_subscription BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+-- Payer of the latest gift that extended the subscription, NULL when the
+-- subscriber paid for it themselves
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS gifted_by VARCHAR(16);
+
+-- Upgrade databases created when there was one row per username.
+-- Existing rows are assumed to be LEO subscriptions.
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS product VARCHAR(32) NOT NULL DEFAULT 'leo-premium';
+ALTER TABLE subscriptions ALTER COLUMN product DROP DEFAULT;
+ALTER TABLE subscriptions DROP CONSTRAINT IF EXISTS subscriptions_username_key;
+
+-- Creator a LEO subscription belongs to; empty for products that aren't
+-- tied to a creator. Databases from before multi-creator tracking should set
+-- it for their existing LEO rows, see the README.
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS creator VARCHAR(16) NOT NULL DEFAULT '';
+
+
+-- One subscription per username, creator and product
+DROP INDEX IF EXISTS idx_username_product;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_username_creator_product ON subscriptions(username, creator, product);
+CREATE INDEX IF NOT EXISTS idx_creator ON subscriptions(creator);
+
+-- Index for faster queries
+CREATE INDEX IF NOT EXISTS idx_username ON subscriptions(username);
+CREATE INDEX IF NOT EXISTS idx_expiration ON subscriptions(expiration_date);
@@ -0,0 +1,54 @@
+-- Append-only ledger of every transfer received by a payment account
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    trx_id VARCHAR(40) NOT NULL,
+    block_num INTEGER NOT NULL,
+    op_index INTEGER NOT NULL,
+    op_type VARCHAR(32) NOT NULL,
+    from_account VARCHAR(16) NOT NULL,
+    to_account VARCHAR(16) NOT NULL,
+    amount NUMERIC(20, 3) NOT NULL,
+    symbol VARCHAR(8) NOT NULL,
+    memo TEXT NOT NULL DEFAULT '',
+    timestamp TIMESTAMP NOT NULL,
+    product VARCHAR(32),
+    outcome VARCHAR(16) NOT NULL,
+    reason TEXT,
+    date_recorded TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    -- Virtual operations (fill_recurrent_transfer) share an all-zero trx_id,
+    -- so the sender and receiver are part of the key as well.
+    CONSTRAINT payments_operation_key UNIQUE (trx_id, block_num, op_index, from_account, to_account)
+);
+
+-- How a credited payment changed the subscription it paid for
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS expiration_before TIMESTAMP;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS expiration_after TIMESTAMP;
+
+-- Plan from the catalog that a credited payment matched
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS plan_id VARCHAR(64);
+
+-- HIVE payments: HBD value and the HBD per HIVE rate used to price them
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS hbd_value NUMERIC(20, 3);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(20, 6);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS rate_source VARCHAR(16);
+
+-- Account credited by the payment: the payer, or the recipient of a gift
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS beneficiary VARCHAR(16);
+CREATE INDEX IF NOT EXISTS idx_payments_beneficiary ON payments(beneficiary);
+
+-- Creator the payment subscribed to, for creator plans
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS creator VARCHAR(16);
+
+CREATE INDEX IF NOT EXISTS idx_payments_from ON payments(from_account);
+CREATE INDEX IF NOT EXISTS idx_payments_timestamp ON payments(timestamp);
+
+CREATE OR REPLACE FUNCTION payments_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'payments is an append-only ledger';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS payments_append_only ON payments;
+CREATE TRIGGER payments_append_only
+    BEFORE UPDATE OR DELETE ON payments
+    FOR EACH ROW EXECUTE FUNCTION payments_append_only();
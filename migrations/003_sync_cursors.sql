@@ -0,0 +1,7 @@
+-- Last processed position per watched payment account, used to catch up after downtime
+CREATE TABLE IF NOT EXISTS sync_cursors (
+    account VARCHAR(16) PRIMARY KEY,
+    last_history_index BIGINT,
+    last_block INTEGER NOT NULL,
+    date_updated TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
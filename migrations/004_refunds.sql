@@ -0,0 +1,18 @@
+-- Refunds of rejected payments, sent back to the payer when REFUNDS_ENABLED=true
+CREATE TABLE IF NOT EXISTS refunds (
+    id SERIAL PRIMARY KEY,
+    payment_id INTEGER NOT NULL UNIQUE REFERENCES payments(id),
+    from_account VARCHAR(16) NOT NULL,
+    to_account VARCHAR(16) NOT NULL,
+    amount NUMERIC(20, 3) NOT NULL,
+    symbol VARCHAR(8) NOT NULL,
+    memo TEXT NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    refund_trx_id VARCHAR(64),
+    date_created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    date_updated TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status);
@@ -0,0 +1,15 @@
+-- Every manual change to a subscription (admin API, CLI, free-trial.js) and who made it
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id SERIAL PRIMARY KEY,
+    admin VARCHAR(64) NOT NULL,
+    action VARCHAR(32) NOT NULL,
+    username VARCHAR(16) NOT NULL,
+    creator VARCHAR(16) NOT NULL DEFAULT '',
+    product VARCHAR(32) NOT NULL,
+    reason TEXT NOT NULL,
+    expiration_before TIMESTAMP,
+    expiration_after TIMESTAMP,
+    date_created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_username ON admin_audit_log(username);
@@ -0,0 +1,18 @@
+-- Expiry reminders sent to subscribers, one per subscription, expiration date and threshold
+CREATE TABLE IF NOT EXISTS subscription_reminders (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(16) NOT NULL,
+    creator VARCHAR(16) NOT NULL DEFAULT '',
+    product VARCHAR(32) NOT NULL,
+    expiration_date TIMESTAMP NOT NULL,
+    days_before INTEGER NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    trx_id VARCHAR(64),
+    date_created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    date_updated TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (username, creator, product, expiration_date, days_before)
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_reminders_status ON subscription_reminders(status);
@@ -0,0 +1,29 @@
+-- Lifecycle state, see subscription-states.js. Existing inactive rows are
+-- taken to be expired.
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS state VARCHAR(16) NOT NULL DEFAULT 'active';
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS state_reason TEXT;
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS state_changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+UPDATE subscriptions SET state = 'expired' WHERE state = 'active' AND active_subscription = FALSE;
+ALTER TABLE subscriptions DROP CONSTRAINT IF EXISTS subscriptions_state_check;
+ALTER TABLE subscriptions ADD CONSTRAINT subscriptions_state_check
+    CHECK (state IN ('trial', 'active', 'grace', 'expired', 'revoked'));
+CREATE INDEX IF NOT EXISTS idx_state ON subscriptions(state);
+
+-- Days after expiration_date the subscription stays in grace, taken from
+-- the plan that last paid for it
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS grace_days NUMERIC(6, 2) NOT NULL DEFAULT 0;
+
+-- Every change of a subscription's state, and why
+CREATE TABLE IF NOT EXISTS subscription_transitions (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(16) NOT NULL,
+    creator VARCHAR(16) NOT NULL DEFAULT '',
+    product VARCHAR(32) NOT NULL,
+    from_state VARCHAR(16),
+    to_state VARCHAR(16) NOT NULL,
+    reason TEXT NOT NULL,
+    expiration_date TIMESTAMP,
+    date_created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_transitions_username ON subscription_transitions(username);
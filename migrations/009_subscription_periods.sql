@@ -0,0 +1,32 @@
+-- Every stretch of time credited to a subscription (payments, trials,
+-- extensions, adjustments) and every revocation, kept after the
+-- subscriptions row is overwritten. ended_at is set when a period was cut
+-- short by a revocation or an earlier expiration date.
+CREATE TABLE IF NOT EXISTS subscription_periods (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(16) NOT NULL,
+    creator VARCHAR(16) NOT NULL DEFAULT '',
+    product VARCHAR(32) NOT NULL,
+    kind VARCHAR(16) NOT NULL,
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    ended_at TIMESTAMP,
+    payer VARCHAR(16),
+    trx_id VARCHAR(40),
+    amount NUMERIC(20, 3),
+    symbol VARCHAR(8),
+    hbd_value NUMERIC(20, 3),
+    date_created TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_periods_subscription ON subscription_periods(username, creator, product);
+
+-- Subscriptions from before periods were recorded get one legacy period
+-- covering their current subscription_date to expiration_date
+INSERT INTO subscription_periods (username, creator, product, kind, starts_at, ends_at)
+SELECT s.username, s.creator, s.product, 'legacy', s.subscription_date, s.expiration_date
+FROM subscriptions s
+WHERE NOT EXISTS (
+    SELECT 1 FROM subscription_periods p
+    WHERE p.username = s.username AND p.creator = s.creator AND p.product = s.product
+);
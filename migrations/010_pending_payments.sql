@@ -0,0 +1,28 @@
+-- With WAIT_FOR_IRREVERSIBLE, transfers are recorded as 'pending' until
+-- their block is irreversible, then settled as credited or rejected, or as
+-- orphaned if their block was dropped from the chain. Settling a pending row
+-- is the only change the ledger allows; the operation itself never changes.
+CREATE OR REPLACE FUNCTION payments_append_only() RETURNS trigger AS $$
+BEGIN
+    IF TG_OP = 'UPDATE'
+        AND OLD.outcome = 'pending'
+        AND NEW.outcome <> 'pending'
+        AND NEW.id = OLD.id
+        AND NEW.trx_id = OLD.trx_id
+        AND NEW.block_num = OLD.block_num
+        AND NEW.op_index = OLD.op_index
+        AND NEW.op_type = OLD.op_type
+        AND NEW.from_account = OLD.from_account
+        AND NEW.to_account = OLD.to_account
+        AND NEW.amount = OLD.amount
+        AND NEW.symbol = OLD.symbol
+        AND NEW.memo = OLD.memo
+        AND NEW.timestamp = OLD.timestamp
+    THEN
+        RETURN NEW;
+    END IF;
+    RAISE EXCEPTION 'payments is an append-only ledger';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE INDEX IF NOT EXISTS idx_payments_pending ON payments(block_num) WHERE outcome = 'pending';
@@ -1,41 +1,88 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import pg from 'pg';
 import { DateTime } from 'luxon';
 import WorkerBee from "@hiveio/workerbee";
-import fetch from 'node-fetch';
 import db from './db.js';
 import HealthCheck from './health.js';
 import logger from './logger.js';
 import CircuitBreaker from './circuit-breaker.js';
 import RetryOperation from './retry.js';
+import { toTransfer } from './payments.js';
+import { getCursor, saveCursor } from './cursors.js';
+import { callHiveApi } from './hive-api.js';
+import nodePool from './node-pool.js';
+import { isRefundEnabled, RefundProcessor } from './refunds.js';
+import { isWebhookEnabled, WebhookDispatcher } from './webhooks.js';
+import { isReminderEnabled, parseReminderDays, ReminderScheduler } from './reminders.js';
+import { migrate } from './migrate.js';
+import { createBroadcaster, parseKeys } from './broadcaster.js';
+import { expiryRunDuration } from './metrics.js';
+import clock from './clock.js';
+import { ReplayBot, ReplayChain, OperationRecorder } from './replay.js';
+import { PaymentProcessor } from './payment-processor.js';
+import { getPlanCatalog } from './plans.js';
+import { assignLegacyCreator } from './legacy-subscriptions.js';
+import { checkExpiredSubscriptions } from './expiry.js';
 
 // Load environment variables
 dotenv.config();
 
-// Database configuration
-const pool = new pg.Pool({
-  host: process.env.POSTGRES_HOST,
-  port: process.env.POSTGRES_PORT,
-  database: process.env.POSTGRES_DB,
-  user: process.env.POSTGRES_USER,
-  password: process.env.POSTGRES_PASSWORD
-});
-
 // Constants from environment
-const SUBSCRIPTION_PAYMENT_ACCOUNT = process.env.SUBSCRIPTION_PAYMENT_ACCOUNT;
-const SUBSCRIPTION_AMOUNT = process.env.SUBSCRIPTION_AMOUNT;
-const SUBSCRIPTION_ACCOUNT = process.env.SUBSCRIPTION_ACCOUNT;
-const HIVE_API_NODE = process.env.HIVE_API_NODE;
+// How far back to look for payments when an account has no cursor yet
+const INITIAL_BACKFILL_DAYS = Number(process.env.INITIAL_BACKFILL_DAYS) || 31;
+const HISTORY_PAGE_SIZE = 1000;
+// How often to catch up again after a live transfer failed to process
+const STALLED_RETRY_INTERVAL = 5 * 60 * 1000;
+
+// What catch-up needs from the chain: a page of an account's history, as
+// condenser_api.get_account_history returns it
+const hiveHistory = {
+  getAccountHistory: (account, start, limit) => callHiveApi('condenser_api.get_account_history', [account, start, limit])
+};
 
 class HiveMonitor {
-  constructor() {
+  // With replayFile, operations come from a recorded file instead of the
+  // chain (see replay.js); with recordFile, every operation processed is
+  // appended to it. createBot(node) makes the live stream client, processor
+  // credits the transfers found (to the accounts in its plan catalog),
+  // chain serves the account history catch-up reads, and database holds
+  // the cursors.
+  constructor({
+    replayFile = null,
+    recordFile = null,
+    createBot = (node) => new WorkerBee({ chainOptions: { apiEndpoint: node.url } }),
+    processor = new PaymentProcessor(),
+    chain = hiveHistory,
+    database = db
+  } = {}) {
+    this.replayFile = replayFile;
+    this.recorder = recordFile ? new OperationRecorder(recordFile) : null;
+    this.createBot = createBot;
+    this.processor = processor;
+    this.chain = chain;
+    this.database = database;
+    if (this.recorder) {
+      // Record what the chain answers too, so the file replays offline
+      this.processor.chain = this.recorder.recordLookups(this.processor.chain);
+    }
     this.bot = null;
     this.observer = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
-    this.reconnectDelay = 5000; // 5 seconds
+    this.reconnectDelay = 5000; // 5 seconds, doubled after each failed attempt
+    this.maxReconnectDelay = 300000; // 5 minutes
+    this.isStopped = false;
     this.lastConnectionState = false; // Track connection state changes
+    this.subscriptions = [];
+    this.isReconnecting = false;
+    this.isCatchingUp = false;
+    this.currentNode = null;
+    // Highest block seen by the live stream or processed by catch-up
+    this.lastBlock = null;
+    // Set when a live operation fails, so the cursor stays before it until the next catch-up
+    this.cursorStalled = false;
 
     this.circuitBreaker = new CircuitBreaker({
       name: 'hive-connection',
@@ -51,7 +98,7 @@ class HiveMonitor {
     });
 
     // Only log when connection state changes
-    setInterval(() => {
+    this.stateTimer = setInterval(() => {
       if (this.isConnected !== this.lastConnectionState) {
         logger.info('Connection state changed', { 
           connected: this.isConnected,
@@ -60,6 +107,20 @@ class HiveMonitor {
         this.lastConnectionState = this.isConnected;
       }
     }, 60000); // Check every minute instead of every 30 seconds
+
+    // A live transfer that failed holds the cursor back until a catch-up
+    // credits it; don't leave that to the next reconnect
+    this.stalledTimer = setInterval(() => this.retryStalled(), STALLED_RETRY_INTERVAL);
+
+    // Follow the node pool when it rotates away from the node we stream from
+    nodePool.on('change', (host) => {
+      if (this.isConnected && !this.replayFile && host !== this.currentNode) {
+        this.switchNode().catch((error) => {
+          logger.error('Failed to switch Hive API node:', { error: error.message });
+          this.reconnect();
+        });
+      }
+    });
   }
 
 
@@ -68,40 +129,160 @@ class HiveMonitor {
       return;
     }
 
+    if (this.replayFile) {
+      this.bot = new ReplayBot(this.replayFile);
+      this.bot.on("block", ({ number }) => this.recordBlock(number));
+      await this.bot.start();
+      this.currentNode = `replay:${this.replayFile}`;
+      this.isConnected = true;
+      return;
+    }
+
     await this.circuitBreaker.execute(async () => {
       await this.retry.execute(async () => {
-        this.bot = new WorkerBee();
+        const node = nodePool.getCurrentNode();
+        this.currentNode = node.host;
+        this.bot = this.createBot(node);
         
         this.bot.on("error", (error) => {
-          logger.error('WorkerBee error:', { error: error.message });
-          this.handleDisconnect();
+          logger.error('WorkerBee error:', { error: error.message, node: node.host });
+          nodePool.reportFailure(node.host);
+          this.reconnect();
         });
 
+        // Every new block, whether or not it touches our accounts
+        this.bot.on("block", ({ number }) => this.recordBlock(number));
+
         this.bot.on("disconnect", () => {
-          logger.warn('WorkerBee disconnected');
-          this.handleDisconnect();
+          logger.warn('WorkerBee disconnected', { node: node.host });
+          nodePool.reportFailure(node.host);
+          this.reconnect();
         });
 
-        await this.bot.start();
+        try {
+          await this.bot.start();
+        } catch (error) {
+          // Let the next retry attempt start on a different node
+          nodePool.reportFailure(node.host);
+          throw error;
+        }
+        // reconnectAttempts is reset by handleDisconnect() once the catch-up works too
         this.isConnected = true;
-        this.reconnectAttempts = 0;
-        logger.info('Successfully connected to Hive network');
+        logger.info('Successfully connected to Hive network', { node: node.host });
       });
     });
   }
 
+  // For event handlers, which have nothing to catch a rejection with
+  reconnect() {
+    this.handleDisconnect().catch((error) => {
+      logger.error('Error reconnecting to Hive:', { error: error.message });
+    });
+  }
+
+  // Reconnect and catch up until both succeed, waiting twice as long after
+  // each failed attempt, up to maxReconnectDelay
   async handleDisconnect() {
+    // Also tells a reconnect in progress that the new stream failed too
     this.isConnected = false;
+
+    // error, disconnect and observer errors can all fire for the same outage
+    if (this.isReconnecting || this.isStopped) {
+      return;
+    }
+
     this.observer = null;
+    this.isReconnecting = true;
+    await this.stopBot().catch(() => {});
 
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.reconnectAttempts++;
-      logger.info(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-      await new Promise(resolve => setTimeout(resolve, this.reconnectDelay));
-      await this.connect();
-    } else {
-      logger.error('Max reconnection attempts reached');
-      throw new Error('Failed to maintain Hive connection');
+    try {
+      while (!this.isStopped) {
+        this.reconnectAttempts++;
+        if (this.reconnectAttempts === this.maxReconnectAttempts + 1) {
+          logger.error('Max reconnection attempts reached; still retrying', {
+            retryDelay: this.maxReconnectDelay
+          });
+        }
+        const delay = Math.min(this.reconnectDelay * 2 ** (this.reconnectAttempts - 1), this.maxReconnectDelay);
+        logger.info(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`, { delay });
+        await new Promise(resolve => setTimeout(resolve, delay));
+        if (this.isStopped) {
+          break;
+        }
+
+        try {
+          await this.connect();
+          // Pick up whatever was missed while disconnected, then resume streaming
+          await this.startMonitoring();
+        } catch (error) {
+          logger.error('Reconnect attempt failed:', { attempt: this.reconnectAttempts, error: error.message });
+          this.isConnected = false;
+        }
+
+        if (this.isConnected) {
+          this.reconnectAttempts = 0;
+          return;
+        }
+        await this.stopBot().catch(() => {});
+      }
+    } finally {
+      this.isReconnecting = false;
+    }
+  }
+
+  // Restart the live stream on the node pool's current node
+  async switchNode() {
+    const previousNode = this.currentNode;
+    this.isConnected = false;
+    await this.stopBot();
+    await this.startMonitoring();
+    logger.info('Switched Hive API node', { from: previousNode, to: this.currentNode });
+  }
+
+  async stopBot() {
+    for (const subscription of this.subscriptions) {
+      subscription.unsubscribe();
+    }
+    this.subscriptions = [];
+
+    if (this.bot) {
+      const bot = this.bot;
+      this.bot = null;
+      bot.removeAllListeners();
+      await bot.stop();
+    }
+  }
+
+  // Process everything since the stored cursors before relying on the live stream
+  async catchUp() {
+    this.isCatchingUp = true;
+    try {
+      const complete = await findTransactions({
+        processor: this.processor,
+        chain: this.chain,
+        database: this.database,
+        accounts: this.getPaymentAccounts(),
+        onOperation: (index, operation) => {
+          this.recordBlock(operation.block);
+          this.recorder?.record(operation, index);
+        }
+      });
+      this.cursorStalled = !complete;
+    } finally {
+      this.isCatchingUp = false;
+    }
+  }
+
+  async retryStalled() {
+    if (!this.cursorStalled || this.replayFile || !this.isConnected || this.isCatchingUp || this.isReconnecting) {
+      return;
+    }
+
+    logger.info('Catching up to retry transfers that failed to process');
+    try {
+      await this.catchUp();
+    } catch (error) {
+      logger.error('Error retrying failed transfers:', { error: error.message });
     }
   }
 
@@ -109,113 +290,115 @@ class HiveMonitor {
     if (!this.isConnected || !this.bot) {
       await this.connect();
     }
-  
-    // Create observers for both accounts
-    const subscriptionObserver = this.bot.observe.accountOperations(process.env.SUBSCRIPTION_PAYMENT_ACCOUNT);
-    const aiObserver = this.bot.observe.accountOperations(process.env.AI_PAYMENT_ACCOUNT);
-    
-    const observerHandler = {
-      next: async (operation) => {
-        try {
-          await this.processOperation(operation);
-        } catch (error) {
-          logger.error('Error processing operation:', { error: error.message });
+
+    // A replay has no chain history to catch up from
+    if (!this.replayFile) {
+      await this.catchUp();
+    }
+
+    for (const subscription of this.subscriptions) {
+      subscription.unsubscribe();
+    }
+    this.subscriptions = [];
+
+    for (const account of this.getPaymentAccounts()) {
+      const observer = this.bot.observe.accountOperations(account);
+      this.subscriptions.push(observer.subscribe({
+        next: async (operation) => {
+          try {
+            await this.processOperation(operation, account);
+          } catch (error) {
+            logger.error('Error processing operation:', { error: error.message });
+          }
+        },
+        error: (error) => {
+          logger.error('Observer error:', { error: error.message });
+          this.reconnect();
+        },
+        complete: () => {
+          logger.info('Observer completed');
         }
-      },
-      error: (error) => {
-        logger.error('Observer error:', { error: error.message });
-        this.handleDisconnect();
-      },
-      complete: () => {
-        logger.info('Observer completed');
-      }
-    };
-  
-    // Subscribe both observers
-    subscriptionObserver.subscribe(observerHandler);
-    aiObserver.subscribe(observerHandler);
-    
+      }));
+    }
+
+    // Operations that landed while the stream was starting are picked up
+    // here; any overlap with the stream is deduplicated by the payments ledger.
+    if (!this.replayFile) {
+      await this.catchUp();
+    }
+
     logger.info('Real-time monitoring started for all accounts');
   }
   
-  async processOperation(operation) {
+  async processOperation(operation, account) {
+    this.recorder?.record(operation);
     return this.retry.execute(async () => {
-      // Skip if not an array operation
-      if (!Array.isArray(operation.op)) {
+      const transfer = toTransfer(operation);
+
+      // Only transfers (regular and recurring) to our payment accounts matter
+      if (!transfer || !this.getPaymentAccounts().includes(transfer.to)) {
+        await this.advanceCursor(account, operation);
         return;
       }
-  
-      const [opType, opData] = operation.op;
-      
-      // Check both regular and recurring transfers
-      if ((opType === 'transfer' || opType === 'fill_recurrent_transfer') && 
-          (opData.to === process.env.SUBSCRIPTION_PAYMENT_ACCOUNT || 
-           opData.to === process.env.AI_PAYMENT_ACCOUNT)) {
-        
-        const [amountValue, symbol] = opData.amount.split(' ');
-        const transferAmount = parseFloat(amountValue);
-  
-        logger.debug(`${opType} detected:`, {
-          from: opData.from,
-          to: opData.to,
-          amount: opData.amount,
-          memo: opData.memo,
-          type: opType
-        });
-  
-        const transformedTransfer = {
-          from: opData.from,
-          to: opData.to,
-          amount: {
-            amount: transferAmount,
-            symbol: 'HBD'
-          },
-          memo: opData.memo,
-          timestamp: operation.timestamp
-        };
-  
-        // Handle AI Summaries transfers
-        if (opData.to === process.env.AI_PAYMENT_ACCOUNT && 
-            symbol === 'HBD') {
-          if (transferAmount === Number(process.env.AI_SUBSCRIPTION_FULL_AMOUNT) || 
-              transferAmount === Number(process.env.AI_SUBSCRIPTION_MINI_AMOUNT)) {
-            try {
-              await processSubscriptionTransfer(transformedTransfer);
-            } catch (error) {
-              logger.error('Failed to process AI subscription:', {
-                error: error.message,
-                transfer: transformedTransfer
-              });
-            }
-          }
-        }
-        
-        // Handle regular subscription transfers
-        else if (opData.to === process.env.SUBSCRIPTION_PAYMENT_ACCOUNT && 
-                 transferAmount === Number(process.env.SUBSCRIPTION_AMOUNT) && 
-                 symbol === 'HBD' &&
-                 opData.memo.toLowerCase() === `subscribe:${process.env.SUBSCRIPTION_ACCOUNT.toLowerCase()}`) {
-          try {
-            await processSubscriptionTransfer(transformedTransfer);
-          } catch (error) {
-            logger.error('Failed to process subscription:', {
-              error: error.message,
-              transfer: transformedTransfer
-            });
-          }
-        }
+
+      logger.debug(`${transfer.opType} detected:`, {
+        from: transfer.from,
+        to: transfer.to,
+        amount: operation.op[1].amount,
+        memo: transfer.memo,
+        type: transfer.opType
+      });
+
+      const outcome = await this.processor.process(transfer);
+      if (outcome === 'failed') {
+        logger.error('Failed to process subscription:', { transfer });
+        this.cursorStalled = true;
       }
+      await this.advanceCursor(account, operation);
     });
   }
 
+  getPaymentAccounts() {
+    return this.processor.plans.getAccounts();
+  }
+
+  recordBlock(block) {
+    this.lastBlock = Math.max(this.lastBlock ?? 0, block);
+  }
+
+  // Blocks between the node pool's head block and the last one we got to.
+  // Grows while the stream is stuck, even if it still reports being connected.
+  getBlockLag() {
+    const headBlock = nodePool.getHeadBlock();
+    if (headBlock === null || this.lastBlock === null) {
+      return null;
+    }
+    return Math.max(0, headBlock - this.lastBlock);
+  }
+
+  async advanceCursor(account, operation) {
+    if (operation.block) {
+      this.recordBlock(operation.block);
+    }
+    // A replay must not move the cursors of the live stream
+    if (!account || !operation.block || this.cursorStalled || this.replayFile) {
+      return;
+    }
+    await saveCursor(account, { block: operation.block }, this.database);
+  }
+
   async stop() {
     try {
       this.isRunning = false;
-      if (this.client) {
-        // Properly close the connection if it exists
-        await this.client.disconnect();
-        this.client = null;
-      }
+      this.isStopped = true;
+      this.isConnected = false;
+      clearInterval(this.stateTimer);
+      clearInterval(this.stalledTimer);
+      this.processor.stop();
+      // Properly close the connection if it exists
+      await this.stopBot();
+      nodePool.stop();
+      await this.recorder?.close();
       logger.info('Hive monitor stopped successfully');
     } catch (error) {
       logger.error('Error stopping Hive monitor:', { 
@@ -231,6 +414,10 @@ class HiveMonitor {
       isConnected: this.isConnected,
       reconnectAttempts: this.reconnectAttempts,
       circuitBreakerState: this.circuitBreaker.getState(),
+      currentNode: this.currentNode,
+      lastBlock: this.lastBlock,
+      blockLag: this.getBlockLag(),
+      isCatchingUp: this.isCatchingUp,
       lastError: this.lastError
     };
   }
@@ -238,240 +425,109 @@ class HiveMonitor {
 
 export default HiveMonitor;
 
-async function findTransactions() {
-  console.log('Starting search for transactions...');
-  const endDate = DateTime.now();
-  const startDate = endDate.minus({ days: 31 });
-
-  // Define the accounts and amounts to check
-  const checkParams = [
-    {
-      account: process.env.SUBSCRIPTION_PAYMENT_ACCOUNT,
-      amount: process.env.SUBSCRIPTION_AMOUNT,
-      requireMemo: true,
-      memoText: `subscribe:${process.env.SUBSCRIPTION_ACCOUNT}`
-    },
-    {
-      account: process.env.AI_PAYMENT_ACCOUNT,
-      amount: process.env.AI_SUBSCRIPTION_FULL_AMOUNT,
-      requireMemo: false
-    },
-    {
-      account: process.env.AI_PAYMENT_ACCOUNT,
-      amount: process.env.AI_SUBSCRIPTION_MINI_AMOUNT,
-      requireMemo: false
-    }
-  ];
-
-  for (const params of checkParams) {
-    console.log(`\nLooking for transfers to ${params.account}:`);
-    if (params.requireMemo) {
-      console.log(`- Memo: "${params.memoText}"`);
-    }
-    const formattedAmount = Number(params.amount).toFixed(3);
-    console.log(`- Amount: ${formattedAmount} HBD`);
-    console.log('- Time range:', startDate.toISODate(), 'to', endDate.toISODate());
-
-    try {
-      const response = await fetch(`https://${process.env.HIVE_API_NODE}`, {
-        method: 'POST',
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          method: 'condenser_api.get_account_history',
-          params: [params.account, -1, 1000],
-          id: 1
-        }),
-        headers: { 'Content-Type': 'application/json' }
-      });
-
-      const data = await response.json();
-      if (data.error) {
-        throw new Error(data.error.message);
-      }
-      if (!Array.isArray(data.result)) {
-        throw new Error('Unexpected API response format');
-      }
-
-      console.log(`Fetched ${data.result.length} operations`);
-      const validTransfers = [];
-
-      for (const operation of data.result) {
-        const [trx_id, { op, timestamp }] = operation;
-        
-        // Skip if not an array operation
-        if (!Array.isArray(op)) continue;
-        
-        const [opType, opData] = op;
-        
-        // Check both regular and recurring transfers
-        if ((opType === 'transfer' || opType === 'fill_recurrent_transfer') && 
-            opData.to === params.account) {
-          
-          const [amountValue, symbol] = opData.amount.split(' ');
-          const transferAmount = parseFloat(amountValue);
-          
-          const isValidTransfer = 
-            transferAmount === Number(params.amount) &&
-            symbol === 'HBD' &&
-            DateTime.fromISO(timestamp) >= startDate &&
-            DateTime.fromISO(timestamp) <= endDate;
-
-          // Additional memo check only if required
-          const isValidMemo = params.requireMemo ? 
-            opData.memo.toLowerCase() === params.memoText.toLowerCase() : 
-            true;
-
-          if (isValidTransfer && isValidMemo) {
-            const transformedTransfer = {
-              from: opData.from,
-              to: opData.to,
-              amount: {
-                amount: transferAmount,
-                symbol: 'HBD'
-              },
-              memo: opData.memo,
-              timestamp
-            };
-
-            validTransfers.push(transformedTransfer);
-          }
-        }
-      }
+// Page backward through an account's history until the cursor (or, without
+// one, the start of the initial backfill window) and return the operations
+// after it, oldest first, as [historyIndex, operation] pairs.
+async function fetchHistorySince(chain, account, cursor) {
+  const backfillStart = DateTime.utc().minus({ days: INITIAL_BACKFILL_DAYS });
+  const isBeforeCursor = (index, operation) => {
+    if (!cursor) {
+      return DateTime.fromISO(operation.timestamp, { zone: 'utc' }) < backfillStart;
+    }
+    return (cursor.historyIndex !== null && index <= cursor.historyIndex) ||
+      operation.block < cursor.block;
+  };
+
+  const operations = [];
+  let start = -1;
+
+  while (true) {
+    const limit = start === -1 ? HISTORY_PAGE_SIZE : Math.min(HISTORY_PAGE_SIZE, start);
+    const page = await chain.getAccountHistory(account, start, limit);
+    if (!Array.isArray(page)) {
+      throw new Error('Unexpected API response format');
+    }
+    if (page.length === 0) {
+      break;
+    }
 
-      console.log('\nValid Transfers:');
-      for (const transfer of validTransfers) {
-        console.log(transfer);
-        const result = await processSubscriptionTransfer(transfer);
-        if (!result) {
-          logger.error('Failed to process transfer:', { transfer });
-        }
+    // Pages are returned oldest first
+    let reachedCursor = false;
+    for (let i = page.length - 1; i >= 0; i--) {
+      const [index, operation] = page[i];
+      if (isBeforeCursor(index, operation)) {
+        reachedCursor = true;
+        break;
       }
-      console.log('Total valid transfers found:', validTransfers.length);
-
-    } catch (error) {
-      console.error('Error fetching transactions:', error);
-      throw error;
+      operations.push([index, operation]);
     }
-  }
 
-  console.log('\nSearch completed');
-}
-  
-async function processSubscriptionTransfer(transfer) {
-  const {
-    from: sender,
-    to: recipient,
-    amount: { amount: value, symbol },
-    memo
-  } = transfer;
-
-  // Handle AI Summaries transfers
-  if (recipient === process.env.AI_PAYMENT_ACCOUNT && symbol === 'HBD') {
-    let days = 0;
-    if (value === Number(process.env.AI_SUBSCRIPTION_FULL_AMOUNT)) {
-      days = Number(process.env.AI_SUBSCRIPTION_FULL_DAYS);
-      logger.info('AI Summaries full subscription payment received', {
-        sender,
-        amount: value,
-        days
-      });
-      return await addSubscription(sender, days);
-    } else if (value === Number(process.env.AI_SUBSCRIPTION_MINI_AMOUNT)) {
-      days = Number(process.env.AI_SUBSCRIPTION_MINI_DAYS);
-      logger.info('AI Summaries mini subscription payment received', {
-        sender,
-        amount: value,
-        days
-      });
-      return await addSubscription(sender, days);
+    const lowestIndex = page[0][0];
+    if (reachedCursor || lowestIndex === 0) {
+      break;
     }
+    start = lowestIndex - 1;
   }
 
-  // Handle original subscription logic
-  if (recipient === process.env.SUBSCRIPTION_PAYMENT_ACCOUNT && 
-      value === Number(process.env.SUBSCRIPTION_AMOUNT) && 
-      symbol === 'HBD') {
-    
-    const memoMatch = memo.match(/^subscribe:(\w+)$/);
-    if (!memoMatch) {
-      return false;
-    }
-
-    const subscribingAccount = memoMatch[1].toLowerCase();
-    if (subscribingAccount !== process.env.SUBSCRIPTION_ACCOUNT.toLowerCase()) {
-      return false;
-    }
+  return operations.reverse();
+}
 
-    logger.info('Standard subscription payment received', {
-      sender,
-      amount: value,
-      days: 31
-    });
+// Catch up each of `accounts` from its cursor in `database`, reading history
+// from `chain` and crediting transfers with `processor`. Returns false when
+// a transfer failed and its account's cursor was held back.
+// onOperation(historyIndex, operation) is called for every operation processed.
+async function findTransactions({ processor, chain, database, accounts, onOperation = () => {} }) {
+  logger.info('Catching up on payment account history', { accounts });
+  let complete = true;
 
-    return await addSubscription(sender, 31);
-  }
+  for (const account of accounts) {
+    const cursor = await getCursor(account, database);
+    logger.info('Looking for transfers', cursor
+      ? { account, sinceBlock: cursor.block }
+      : { account, backfillDays: INITIAL_BACKFILL_DAYS });
 
-  return false;
-}
+    try {
+      const history = await fetchHistorySince(chain, account, cursor);
+      logger.debug('Fetched account history', { account, operations: history.length });
+
+      // Every transfer goes through the ledger; ones already recorded on a
+      // previous run come back as 'duplicate' and are not credited again.
+      const outcomes = {};
+      let transfers = 0;
+      let processed = null;
+      for (const [index, operation] of history) {
+        const transfer = toTransfer(operation);
+        if (transfer && transfer.to === account) {
+          transfers++;
+          const outcome = await processor.process(transfer);
+          outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+          if (outcome === 'failed') {
+            // Leave the cursor before this transfer so the next catch-up retries it
+            logger.error('Failed to process transfer:', { transfer });
+            complete = false;
+            break;
+          }
+        }
 
-async function addSubscription(username, days) {
-  const subscriptionDate = new Date();
-  let expirationDate;
+        processed = { historyIndex: index, block: operation.block };
+        onOperation(index, operation);
+        if (index % HISTORY_PAGE_SIZE === 0) {
+          await saveCursor(account, processed, database);
+        }
+      }
 
-  try {
-    // Check if the user already has an active subscription
-    const existingSubscription = await db.query(
-      'SELECT subscription_date, expiration_date FROM subscriptions WHERE username = $1',
-      [username]
-    );
-
-    if (existingSubscription.rows.length > 0) {
-      const currentExpirationDate = new Date(existingSubscription.rows[0].expiration_date);
-      
-      // If the current date is before the current expiration date, the subscription is still active
-      if (subscriptionDate < currentExpirationDate) {
-        logger.info('Subscription is still active; no additional days added', {
-          username,
-          currentExpirationDate,
-          newSubscriptionDate: subscriptionDate
-        });
-        return true; // Return true to indicate no error, but no action was taken
+      if (processed) {
+        await saveCursor(account, processed, database);
       }
+      logger.info('Caught up on transfers', { account, transfers, outcomes });
+    } catch (error) {
+      logger.error('Error fetching transactions:', { account, error: error.message });
+      throw error;
     }
-
-    // Calculate expiration date only once - add days to the current date
-    expirationDate = new Date(subscriptionDate);
-    expirationDate.setDate(expirationDate.getDate() + days);
-
-    // Insert or update the subscription
-    const query = `
-      INSERT INTO subscriptions (username, subscription_date, expiration_date)
-      VALUES ($1, $2, $3)
-      ON CONFLICT (username) 
-      DO UPDATE SET 
-        subscription_date = $2,
-        expiration_date = $3,
-        date_updated = CURRENT_TIMESTAMP,
-        active_subscription = TRUE
-    `;
-    
-    await db.query(query, [username, subscriptionDate, expirationDate]);
-    
-    logger.info('Subscription added or updated successfully', {
-      username,
-      subscriptionDate,
-      expirationDate
-    });
-    
-    return true;
-  } catch (error) {
-    logger.error('Error adding subscription:', {
-      error: error.message,
-      username,
-      days
-    });
-    return false;
   }
+
+  logger.info('Catch-up completed', { complete });
+  return complete;
 }
 
 // Add shutdown handling
@@ -481,6 +537,15 @@ async function shutdown() {
     if (global.monitor) {
       await global.monitor.stop();
     }
+    if (global.refundProcessor) {
+      global.refundProcessor.stop();
+    }
+    if (global.webhookDispatcher) {
+      global.webhookDispatcher.stop();
+    }
+    if (global.reminderScheduler) {
+      global.reminderScheduler.stop();
+    }
     if (global.healthCheck) {
       await global.healthCheck.stop();
     }
@@ -493,39 +558,18 @@ async function shutdown() {
   }
 }
 
-// Handle process termination
-process.on('SIGTERM', shutdown);
-process.on('SIGINT', shutdown);
-
-async function startRealTimeMonitoring() {
-  const monitor = new HiveMonitor();
-  await monitor.startMonitoring();
-  return monitor; // Return the monitor instance for cleanup
-}
-
-async function checkExpiredSubscriptions() {
+// Run the expiry check (see expiry.js), timing it for /metrics and logging
+// rather than throwing, since it runs on a timer
+async function runExpiryCheck() {
+  const endTimer = expiryRunDuration.startTimer();
   try {
-    const query = `
-      UPDATE subscriptions 
-      SET active_subscription = FALSE 
-      WHERE expiration_date < CURRENT_TIMESTAMP 
-      AND active_subscription = TRUE
-      RETURNING username
-    `;
-    
-    const result = await db.query(query);
-    if (result.rows.length > 0) {
-      logger.info('Deactivated subscriptions', {
-        count: result.rows.length,
-        usernames: result.rows.map(row => row.username)
-      });
-    } else {
-      logger.debug('No subscriptions to deactivate');
-    }
+    await checkExpiredSubscriptions();
 
     // Update health check timestamp after successful check
     global.healthCheck?.updateLastCheck();
+    endTimer({ status: 'success' });
   } catch (error) {
+    endTimer({ status: 'error' });
     logger.error('Error checking expired subscriptions:', { 
       error: error.message,
       stack: error.stack
@@ -533,45 +577,120 @@ async function checkExpiredSubscriptions() {
   }
 }
 
+/**
+ * Credit the operations recorded in `file` as if they were streamed now,
+ * with the clock following their timestamps, then exit. The expiry check
+ * runs for every simulated hour. Refunds, reminders and webhooks are queued
+ * in the database but never sent, so nothing is broadcast.
+ */
+async function replay(file) {
+  logger.warn('Replaying recorded operations; refunds, reminders and webhooks will not be sent', { file });
+
+  // Recorded operations are replayed as final, and gift recipients and HIVE
+  // prices come from the lookups recorded with them, so no node is needed
+  const monitor = new HiveMonitor({
+    replayFile: file,
+    processor: new PaymentProcessor({ waitForIrreversible: false, chain: ReplayChain.fromFile(file) })
+  });
+  global.monitor = monitor;
+  await monitor.connect();
+
+  let lastCheck = null;
+  monitor.bot.onTime = async (time) => {
+    if (lastCheck === null || time - lastCheck >= 60 * 60 * 1000) {
+      await runExpiryCheck();
+      lastCheck = time;
+    }
+  };
+
+  await monitor.startMonitoring();
+  const played = await monitor.bot.play();
+  await runExpiryCheck();
 
-async function startPeriodicChecks() {
-  // Check every hour
-  setInterval(checkExpiredSubscriptions, 60 * 60 * 1000);
-  // Run immediate check on startup
-  await checkExpiredSubscriptions();
+  logger.info('Replay finished', { file, operations: played, clock: clock.now().toISOString() });
 }
 
 async function main() {
   let monitor = null;
   
   try {
+    // An invalid plan catalog stops the tracker before it touches anything
+    getPlanCatalog();
+
+    // Bring the database schema up to date before anything uses it
+    await migrate();
+    await assignLegacyCreator();
+
+    if (process.env.REPLAY_FILE) {
+      await replay(process.env.REPLAY_FILE);
+      await shutdown();
+      return;
+    }
+
     // Initialize health check
     global.healthCheck = new HealthCheck();
     await global.healthCheck.start();
 
+    // Measure the configured API nodes before picking one to stream from
+    await nodePool.start();
+
     // Create monitor first
-    monitor = new HiveMonitor();
+    monitor = new HiveMonitor({ recordFile: process.env.RECORD_FILE || null });
     await monitor.connect();  // This initializes the client
     global.monitor = monitor;
 
-    // Now pass the client to findTransactions
-    await findTransactions(monitor.client);
-    
-    // Start periodic checks for expired subscriptions
-    const checkInterval = 60 * 60 * 1000; // 1 hour
-    const periodicCheck = async () => {
-      try {
-        await checkExpiredSubscriptions();
-      } catch (error) {
-        console.error('Error in periodic check:', error);
-      }
-    };
-
-    setInterval(periodicCheck, checkInterval);
-    await periodicCheck(); // Initial check
-    
-    // Then start real-time monitoring
+    // Catch up from the stored cursors and start real-time monitoring, so
+    // payments made while the service was down are credited before anything
+    // is expired for lack of them
     await monitor.startMonitoring();
+
+    // Then check for expired subscriptions every hour, starting now
+    setInterval(runExpiryCheck, 60 * 60 * 1000);
+    await runExpiryCheck();
+
+    // Credit payments held until their block is irreversible. This runs even
+    // with WAIT_FOR_IRREVERSIBLE off, to settle any left from when it was on.
+    await monitor.processor.start();
+
+    // Send back rejected payments, if enabled
+    if (isRefundEnabled()) {
+      const dryRun = process.env.REFUND_DRY_RUN === 'true';
+      global.refundProcessor = new RefundProcessor({
+        dryRun,
+        broadcaster: createBroadcaster({
+          dryRun,
+          keys: parseKeys(process.env.REFUND_ACTIVE_KEYS),
+          getBot: () => monitor.bot
+        })
+      });
+      await global.refundProcessor.start();
+    }
+
+    // Deliver lifecycle events to the configured webhook URLs
+    if (isWebhookEnabled()) {
+      global.webhookDispatcher = new WebhookDispatcher();
+      await global.webhookDispatcher.start();
+    }
+
+    // Remind subscribers before their subscription expires, if enabled
+    if (isReminderEnabled()) {
+      const dryRun = process.env.REMINDER_DRY_RUN === 'true';
+      const account = process.env.REMINDER_ACCOUNT;
+      global.reminderScheduler = new ReminderScheduler({
+        account,
+        days: parseReminderDays(process.env.REMINDER_DAYS),
+        memo: process.env.REMINDER_MEMO,
+        encrypt: process.env.REMINDER_ENCRYPT === 'true',
+        dryRun,
+        broadcaster: createBroadcaster({
+          dryRun,
+          keys: { [account]: process.env.REMINDER_ACTIVE_KEY },
+          memoKeys: process.env.REMINDER_MEMO_KEY ? { [account]: process.env.REMINDER_MEMO_KEY } : {},
+          getBot: () => monitor.bot
+        })
+      });
+      await global.reminderScheduler.start();
+    }
   } catch (error) {
     console.error('Error in main execution:', error);
     if (monitor) {
@@ -581,4 +700,11 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+// Only start when run directly, so the monitor can be imported without side effects
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  // Handle process termination
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+
+  main();
+}
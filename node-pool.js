@@ -0,0 +1,209 @@
+import { EventEmitter } from 'events';
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+import logger from './logger.js';
+import CircuitBreaker from './circuit-breaker.js';
+
+dotenv.config();
+
+/**
+ * The configured Hive API nodes (HIVE_API_NODE and its backups), shared by
+ * the JSON-RPC calls and the WorkerBee live stream.
+ *
+ * Each node has its own circuit breaker. A periodic health check records
+ * every node's latency and head block; a node whose breaker is open or that
+ * lags the best known head block by more than maxLagBlocks is unhealthy.
+ * When the current node becomes unhealthy the pool rotates to the healthy
+ * node with the lowest latency and emits 'change' with the new host.
+ */
+class NodePool extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const hosts = options.hosts || [
+      process.env.HIVE_API_NODE,
+      process.env.HIVE_API_NODE_BACKUP1,
+      process.env.HIVE_API_NODE_BACKUP2
+    ].filter(Boolean);
+
+    this.nodes = [...new Set(hosts)].map(host => ({
+      host,
+      url: `https://${host}`,
+      circuitBreaker: new CircuitBreaker({
+        name: `hive-node:${host}`,
+        failureThreshold: 3,
+        resetTimeout: 60000 // 1 minute
+      }),
+      latency: null,
+      headBlock: null,
+      lastError: null,
+      lastCheck: null
+    }));
+
+    this.maxLagBlocks = options.maxLagBlocks || Number(process.env.HIVE_NODE_MAX_LAG_BLOCKS) || 20;
+    this.requestTimeout = options.requestTimeout || 10000; // 10 seconds
+    this.healthCheckInterval = options.healthCheckInterval || Number(process.env.HIVE_NODE_HEALTH_INTERVAL) || 60000;
+    this.current = this.nodes[0] || null;
+    this.timer = null;
+  }
+
+  async start() {
+    if (this.nodes.length === 0) {
+      throw new Error('No Hive API nodes configured');
+    }
+    await this.checkHealth();
+    this.timer = setInterval(() => this.checkHealth(), this.healthCheckInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getCurrentNode() {
+    return this.current;
+  }
+
+  getHeadBlock() {
+    const heads = this.nodes.map(node => node.headBlock).filter(block => block !== null);
+    return heads.length > 0 ? Math.max(...heads) : null;
+  }
+
+  isLagging(node) {
+    const headBlock = this.getHeadBlock();
+    return node.headBlock !== null && headBlock !== null &&
+      headBlock - node.headBlock > this.maxLagBlocks;
+  }
+
+  isHealthy(node) {
+    const breaker = node.circuitBreaker.getState();
+    const breakerClosed = !breaker.isOpen ||
+      Date.now() - breaker.lastFailureTime >= node.circuitBreaker.resetTimeout;
+    return breakerClosed && !this.isLagging(node);
+  }
+
+  // Healthy nodes by latency first, then the rest as a last resort
+  rankedNodes() {
+    const byLatency = (a, b) => (a.latency ?? Infinity) - (b.latency ?? Infinity);
+    const healthy = this.nodes.filter(node => this.isHealthy(node)).sort(byLatency);
+    const unhealthy = this.nodes.filter(node => !this.isHealthy(node)).sort(byLatency);
+    return [...healthy, ...unhealthy];
+  }
+
+  // Call a JSON-RPC method, moving down the ranking until a node answers
+  async call(method, params) {
+    let lastError = null;
+
+    for (const node of this.rankedNodes()) {
+      try {
+        return await node.circuitBreaker.execute(() => this.request(node, method, params));
+      } catch (error) {
+        node.lastError = error.message;
+        lastError = error;
+        logger.warn('Hive API node request failed', {
+          node: node.host,
+          method,
+          error: error.message
+        });
+        this.updateCurrent();
+      }
+    }
+
+    throw new Error(`All Hive API nodes failed: ${lastError?.message || 'no nodes configured'}`);
+  }
+
+  async request(node, method, params) {
+    const start = Date.now();
+    const response = await fetch(node.url, {
+      method: 'POST',
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        method,
+        params,
+        id: 1
+      }),
+      headers: { 'Content-Type': 'application/json' },
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+
+    const data = await response.json();
+    if (data.error) {
+      throw new Error(data.error.message);
+    }
+
+    // Exponentially weighted so one slow response doesn't demote a node
+    const duration = Date.now() - start;
+    node.latency = node.latency === null ? duration : Math.round(node.latency * 0.7 + duration * 0.3);
+
+    return data.result;
+  }
+
+  async checkHealth() {
+    await Promise.all(this.nodes.map(async (node) => {
+      try {
+        const properties = await node.circuitBreaker.execute(
+          () => this.request(node, 'condenser_api.get_dynamic_global_properties', [])
+        );
+        node.headBlock = properties.head_block_number;
+        node.lastError = null;
+      } catch (error) {
+        node.lastError = error.message;
+        logger.warn('Hive API node health check failed', {
+          node: node.host,
+          error: error.message
+        });
+      }
+      node.lastCheck = Date.now();
+    }));
+
+    this.updateCurrent();
+  }
+
+  // Count a failure seen outside call(), e.g. by the WorkerBee stream
+  reportFailure(host) {
+    const node = this.nodes.find(candidate => candidate.host === host);
+    if (node) {
+      node.circuitBreaker.failure();
+      this.updateCurrent();
+    }
+  }
+
+  // Only move away from the current node once it errors or lags, so that
+  // small latency differences don't make the live stream flap between nodes
+  updateCurrent() {
+    if (this.current && this.isHealthy(this.current)) {
+      return;
+    }
+
+    const [best] = this.rankedNodes();
+    if (best && best !== this.current && this.isHealthy(best)) {
+      logger.warn('Rotating Hive API node', {
+        from: this.current?.host,
+        to: best.host
+      });
+      this.current = best;
+      this.emit('change', best.host);
+    }
+  }
+
+  getState() {
+    return {
+      current: this.current?.host || null,
+      headBlock: this.getHeadBlock(),
+      nodes: this.nodes.map(node => ({
+        host: node.host,
+        healthy: this.isHealthy(node),
+        lagging: this.isLagging(node),
+        latency: node.latency,
+        headBlock: node.headBlock,
+        lastError: node.lastError,
+        lastCheck: node.lastCheck ? new Date(node.lastCheck).toISOString() : null,
+        circuitBreaker: node.circuitBreaker.getState()
+      }))
+    };
+  }
+}
+
+const nodePool = new NodePool();
+export default nodePool;
@@ -0,0 +1,455 @@
+import { DateTime } from 'luxon';
+import db from './db.js';
+import defaultClock from './clock.js';
+import defaultLogger from './logger.js';
+import { getPlanCatalog } from './plans.js';
+import priceFeed from './price-feed.js';
+import { accountExists, getLastIrreversibleBlock, getOperationsInBlock, findTransactionBlock } from './hive-api.js';
+import { addSubscription } from './subscription-service.js';
+import {
+  toTransfer,
+  isPaymentRecorded,
+  recordPayment,
+  settlePayment,
+  getPendingPaymentsUpTo,
+  getPendingPaymentSummary,
+  PAYMENT_OUTCOMES
+} from './payments.js';
+import { parseGiftMemo } from './memo.js';
+import { convertMilli, formatMilli } from './asset.js';
+import { queueRefund } from './refunds.js';
+import { queueEvent, WEBHOOK_EVENTS } from './webhooks.js';
+import { SUBSCRIPTION_STATES } from './subscription-states.js';
+import { paymentsTotal } from './metrics.js';
+
+const WAIT_FOR_IRREVERSIBLE = process.env.WAIT_FOR_IRREVERSIBLE === 'true';
+
+// What the processor needs from the chain: whether a gift recipient exists,
+// the HBD price of HIVE at a transfer's time (see price-feed.js), and with
+// waitForIrreversible, the last irreversible block, what a block contains
+// and which block a transaction ended up in
+const hiveChain = {
+  accountExists,
+  getRate: (timestamp) => priceFeed.getRate(timestamp),
+  getLastIrreversibleBlock,
+  getOperationsInBlock,
+  findTransactionBlock
+};
+
+// Whether an operation from condenser_api.get_ops_in_block is the transfer
+function isSameTransfer(operation, transfer) {
+  const found = toTransfer(operation);
+  return found !== null &&
+    found.trxId === transfer.trxId &&
+    found.opType === transfer.opType &&
+    found.from === transfer.from &&
+    found.to === transfer.to &&
+    found.amount.milli === transfer.amount.milli &&
+    found.amount.symbol === transfer.amount.symbol &&
+    found.memo === transfer.memo;
+}
+
+/**
+ * Records transfers in the payments ledger and credits the subscriptions
+ * they pay for. The database, plan catalog, chain, clock and logger default
+ * to the configured ones and can be replaced, e.g. by tests.
+ *
+ * With waitForIrreversible, a transfer in a block that could still be
+ * dropped by a fork is only recorded as pending. start() then checks every
+ * `interval` for pending payments the last irreversible block has passed,
+ * credits those still in their block and marks the others orphaned, after
+ * processing the transfer from the block a fork moved it to, if any.
+ */
+export class PaymentProcessor {
+  constructor({
+    database = db,
+    plans = getPlanCatalog(),
+    chain = hiveChain,
+    clock = defaultClock,
+    logger = defaultLogger,
+    waitForIrreversible = WAIT_FOR_IRREVERSIBLE,
+    interval = 30000,
+    batchSize = 50
+  } = {}) {
+    this.database = database;
+    this.plans = plans;
+    this.chain = chain;
+    this.clock = clock;
+    this.logger = logger;
+    this.waitForIrreversible = waitForIrreversible;
+    this.interval = interval;
+    this.batchSize = batchSize;
+    this.lastIrreversibleBlock = null;
+    this.timer = null;
+    this.isSettling = false;
+  }
+
+  /**
+   * Record a transfer in the payments ledger and credit the subscription it
+   * pays for, both in one transaction.
+   * Returns 'credited', 'rejected', 'pending' (waiting for its block to
+   * become irreversible), 'duplicate' (already in the ledger) or 'failed'.
+   */
+  async process(transfer) {
+    // Filled in by credit() once the transfer is matched to a plan
+    const context = { product: 'none' };
+    let outcome;
+    try {
+      outcome = this.waitForIrreversible && !(await this.isIrreversible(transfer.block))
+        ? await this.hold(transfer, context)
+        : await this.credit(transfer, context);
+    } catch (error) {
+      this.logger.error('Error processing payment:', {
+        error: error.message,
+        trxId: transfer.trxId,
+        sender: transfer.from
+      });
+      outcome = 'failed';
+    }
+    // Held payments are counted when they are settled
+    if (outcome !== PAYMENT_OUTCOMES.PENDING) {
+      paymentsTotal.inc({ product: context.product, outcome });
+    }
+    return outcome;
+  }
+
+  // Only asks the chain when the block is past the last irreversible block
+  // seen so far, so a catch-up through old history doesn't ask for every transfer
+  async isIrreversible(block) {
+    if (this.lastIrreversibleBlock !== null && block <= this.lastIrreversibleBlock) {
+      return true;
+    }
+    this.lastIrreversibleBlock = await this.chain.getLastIrreversibleBlock();
+    return block <= this.lastIrreversibleBlock;
+  }
+
+  // Record a transfer as pending, with the plan it appears to pay for so it
+  // can be shown with the subscription. HIVE payments are only priced when
+  // they are credited, so they have no plan yet.
+  async hold(transfer, context) {
+    const gift = parseGiftMemo(transfer.memo);
+    transfer = {
+      ...transfer,
+      planMemo: gift.memo,
+      beneficiary: gift.recipient || transfer.from
+    };
+    const { plan } = this.plans.match(transfer);
+    if (plan) {
+      context.product = plan.product;
+    }
+
+    return this.database.transaction(async (client) => {
+      if (await isPaymentRecorded(client, transfer)) {
+        return 'duplicate';
+      }
+
+      await recordPayment(client, transfer, {
+        planId: plan?.id,
+        creator: plan?.creator,
+        product: plan?.product,
+        outcome: PAYMENT_OUTCOMES.PENDING,
+        reason: `Waiting for block ${transfer.block} to become irreversible`
+      });
+      this.logger.info('Payment pending until its block is irreversible', {
+        sender: transfer.from,
+        amount: `${formatMilli(transfer.amount.milli)} ${transfer.amount.symbol}`,
+        block: transfer.block,
+        lastIrreversibleBlock: this.lastIrreversibleBlock
+      });
+      return PAYMENT_OUTCOMES.PENDING;
+    });
+  }
+
+  async start() {
+    this.timer = setInterval(() => this.settlePending(), this.interval);
+    await this.settlePending();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Settle the pending payments the last irreversible block has passed:
+   * credit (or reject) each one still in its block, and mark the ones whose
+   * block no longer has them orphaned, without crediting anything. A
+   * transfer the fork moved to another block is processed from there first.
+   * Returns the number of payments settled.
+   */
+  async settlePending() {
+    if (this.isSettling) {
+      return 0;
+    }
+    this.isSettling = true;
+
+    let settled = 0;
+    try {
+      // Skip the API call when nothing is waiting
+      const { count } = await getPendingPaymentSummary(this.database);
+      if (count === 0) {
+        return 0;
+      }
+
+      this.lastIrreversibleBlock = await this.chain.getLastIrreversibleBlock();
+      const blocks = new Map();
+      let pending;
+      do {
+        pending = await getPendingPaymentsUpTo(this.database, this.lastIrreversibleBlock, this.batchSize);
+        for (const { id, transfer } of pending) {
+          if (!blocks.has(transfer.block)) {
+            blocks.set(transfer.block, await this.chain.getOperationsInBlock(transfer.block));
+          }
+          const context = { product: 'none' };
+          let outcome;
+          if (blocks.get(transfer.block).some(operation => isSameTransfer(operation, transfer))) {
+            outcome = await this.credit(transfer, context, id);
+          } else {
+            const moved = await this.findMovedTransfer(transfer, blocks);
+            // Processed before orphaning, so a crash in between finds it
+            // again, as a duplicate, on the next pass
+            outcome = moved && (await this.process(moved)) === 'failed'
+              ? 'failed'
+              : await this.orphan(transfer, context, id, moved?.block);
+          }
+          paymentsTotal.inc({ product: context.product, outcome });
+          if (outcome === 'failed') {
+            // Try again on the next pass rather than skipping ahead
+            return settled;
+          }
+          settled++;
+        }
+      } while (pending.length === this.batchSize);
+    } catch (error) {
+      this.logger.error('Error settling pending payments:', { error: error.message });
+    } finally {
+      this.isSettling = false;
+    }
+    return settled;
+  }
+
+  // A transaction dropped by a fork is usually included again in a later
+  // block, which the stream and the account cursors may already be past.
+  // Returns the transfer as it is in that block, or null if it isn't in one.
+  async findMovedTransfer(transfer, blocks) {
+    const block = await this.chain.findTransactionBlock(transfer.trxId);
+    if (block === null || block === transfer.block) {
+      return null;
+    }
+    if (!blocks.has(block)) {
+      blocks.set(block, await this.chain.getOperationsInBlock(block));
+    }
+    const operation = blocks.get(block).find(operation => isSameTransfer(operation, transfer));
+    return operation ? toTransfer(operation) : null;
+  }
+
+  // The block a pending payment was seen in was dropped by a fork. Nothing
+  // was credited for it, so it is only marked orphaned, with the block the
+  // transfer was processed from instead (movedTo), if any.
+  async orphan(transfer, context, paymentId, movedTo = null) {
+    return this.database.transaction(async (client) => {
+      if (!(await this.isPending(client, paymentId))) {
+        return 'duplicate';
+      }
+
+      let reason = `Block ${transfer.block} became irreversible without this transfer`;
+      if (movedTo !== null) {
+        reason += `; it is in block ${movedTo} instead`;
+      }
+      await settlePayment(client, paymentId, transfer, {
+        outcome: PAYMENT_OUTCOMES.ORPHANED,
+        reason
+      });
+      this.logger.warn('Pending payment orphaned by a fork', {
+        sender: transfer.from,
+        amount: `${formatMilli(transfer.amount.milli)} ${transfer.amount.symbol}`,
+        trxId: transfer.trxId,
+        block: transfer.block,
+        movedTo
+      });
+      return PAYMENT_OUTCOMES.ORPHANED;
+    });
+  }
+
+  async isPending(client, paymentId) {
+    const result = await client.query('SELECT outcome FROM payments WHERE id = $1 FOR UPDATE', [paymentId]);
+    return result.rows[0]?.outcome === PAYMENT_OUTCOMES.PENDING;
+  }
+
+  // A new transfer is settled if it is in the ledger at all; a pending one
+  // (paymentId) once it is no longer pending
+  async isSettled(client, transfer, paymentId) {
+    return paymentId === null
+      ? isPaymentRecorded(client, transfer)
+      : !(await this.isPending(client, paymentId));
+  }
+
+  // Append a new transfer to the ledger, or settle a pending one
+  async savePayment(client, transfer, paymentId, fields) {
+    return paymentId === null
+      ? recordPayment(client, transfer, fields)
+      : settlePayment(client, paymentId, transfer, fields);
+  }
+
+  // With paymentId, settles that pending payment instead of recording the
+  // transfer anew
+  async credit(transfer, context, paymentId = null) {
+    const { from: sender } = transfer;
+    const value = `${formatMilli(transfer.amount.milli)} ${transfer.amount.symbol}`;
+
+    // Gifts credit the recipient named in the memo instead of the payer
+    const gift = parseGiftMemo(transfer.memo);
+    transfer = {
+      ...transfer,
+      planMemo: gift.memo,
+      beneficiary: gift.recipient || sender
+    };
+
+    try {
+      // Price HIVE payments before the transaction, so no connection is held
+      // during the API call. Duplicates are skipped early to avoid the lookup.
+      if (transfer.amount.symbol !== 'HBD' && this.plans.acceptsAsset(transfer.to, transfer.amount.symbol)) {
+        if (await this.isSettled(this.database, transfer, paymentId)) {
+          return 'duplicate';
+        }
+        const rate = await this.chain.getRate(transfer.timestamp);
+        // The price source may only be behind or down, so the transfer is
+        // left to be retried rather than rejected and refunded
+        if (!rate) {
+          this.logger.warn('No HIVE price available for payment', {
+            sender,
+            amount: value,
+            timestamp: transfer.timestamp
+          });
+          return 'failed';
+        }
+        transfer = { ...transfer, rate, hbdValue: convertMilli(transfer.amount.milli, rate) };
+      }
+
+      let { plan, proRated, reason } = this.plans.match(transfer);
+      if (plan) {
+        context.product = plan.product;
+      }
+
+      // A gift to a mistyped account would be lost, so reject it instead
+      if (plan && gift.recipient) {
+        if (await this.isSettled(this.database, transfer, paymentId)) {
+          return 'duplicate';
+        }
+        if (!(await this.chain.accountExists(gift.recipient))) {
+          plan = null;
+          reason = `Gift recipient @${gift.recipient} does not exist`;
+        }
+      }
+
+      // Pro-rated payments buy time in proportion to the price, to the hour,
+      // in integer milli units so no rounding creeps in
+      let days = plan?.durationDays;
+      if (proRated) {
+        const paid = this.plans.getPaidMilli(transfer);
+        const hours = Math.floor(paid * Math.round(plan.durationDays * 24) / plan.amountMilli);
+        days = hours / 24;
+      }
+
+      return await this.database.transaction(async (client) => {
+        if (await this.isSettled(client, transfer, paymentId)) {
+          return 'duplicate';
+        }
+
+        if (!plan) {
+          const rejectedId = await this.savePayment(client, transfer, paymentId, {
+            outcome: PAYMENT_OUTCOMES.REJECTED,
+            reason
+          });
+          const refundId = await queueRefund(client, rejectedId, transfer, reason);
+          await queueEvent(client, WEBHOOK_EVENTS.PAYMENT_REJECTED, {
+            trxId: transfer.trxId,
+            from: sender,
+            to: transfer.to,
+            amount: formatMilli(transfer.amount.milli),
+            symbol: transfer.amount.symbol,
+            memo: transfer.memo,
+            reason,
+            refundQueued: refundId !== null
+          });
+          this.logger.info('Payment rejected', {
+            sender,
+            amount: value,
+            reason
+          });
+          return PAYMENT_OUTCOMES.REJECTED;
+        }
+
+        this.logger.info('Subscription payment received', {
+          sender,
+          beneficiary: transfer.beneficiary,
+          amount: value,
+          hbdValue: transfer.hbdValue,
+          plan: plan.id,
+          creator: plan.creator,
+          product: plan.product,
+          proRated,
+          days
+        });
+
+        const renewal = await addSubscription({
+          username: transfer.beneficiary,
+          creator: plan.creator,
+          product: plan.product,
+          days,
+          payer: sender,
+          graceDays: plan.graceDays,
+          stateReason: `Payment ${transfer.trxId} for plan ${plan.id}`,
+          now: this.clock.now(),
+          // Early renewals are judged by when the transfer was made, not when
+          // it was processed (by a catch-up, or after waiting to be irreversible)
+          paidAt: DateTime.fromISO(transfer.timestamp, { zone: 'utc' }).toJSDate(),
+          payment: {
+            trxId: transfer.trxId,
+            amount: formatMilli(transfer.amount.milli),
+            symbol: transfer.amount.symbol,
+            hbdValue: formatMilli(this.plans.getPaidMilli(transfer))
+          }
+        }, client);
+        let note = proRated ? `Pro-rated ${value}: ${renewal.note}` : renewal.note;
+        if (gift.recipient) {
+          note = `Gift from @${sender} to @${gift.recipient}: ${note}`;
+        }
+        await this.savePayment(client, transfer, paymentId, {
+          planId: plan.id,
+          creator: plan.creator,
+          product: plan.product,
+          outcome: PAYMENT_OUTCOMES.CREDITED,
+          reason: note,
+          expirationBefore: renewal.previousExpirationDate,
+          expirationAfter: renewal.expirationDate
+        });
+
+        // Paying for a new, trial or lapsed subscription starts it anew; paying
+        // for an active one or one in its grace period continues it
+        const isRenewal = [SUBSCRIPTION_STATES.ACTIVE, SUBSCRIPTION_STATES.GRACE].includes(renewal.previousState);
+        await queueEvent(client, isRenewal ? WEBHOOK_EVENTS.SUBSCRIPTION_RENEWED : WEBHOOK_EVENTS.SUBSCRIPTION_CREATED, {
+          username: transfer.beneficiary,
+          creator: plan.creator || null,
+          product: plan.product,
+          state: SUBSCRIPTION_STATES.ACTIVE,
+          planId: plan.id,
+          giftedBy: gift.recipient ? sender : null,
+          trxId: transfer.trxId,
+          previousExpirationDate: renewal.previousExpirationDate,
+          expirationDate: renewal.expirationDate
+        });
+        return PAYMENT_OUTCOMES.CREDITED;
+      });
+    } catch (error) {
+      this.logger.error('Error processing payment:', {
+        error: error.message,
+        trxId: transfer.trxId,
+        sender
+      });
+      return 'failed';
+    }
+  }
+}
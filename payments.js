@@ -0,0 +1,272 @@
+import db from './db.js';
+import logger from './logger.js';
+import { parseAsset, formatMilli, formatRate, toMilli } from './asset.js';
+
+// Pending payments wait for their block to become irreversible (see
+// WAIT_FOR_IRREVERSIBLE), then are credited or rejected, or orphaned if the
+// block was dropped from the chain
+export const PAYMENT_OUTCOMES = Object.freeze({
+  CREDITED: 'credited',
+  REJECTED: 'rejected',
+  PENDING: 'pending',
+  ORPHANED: 'orphaned'
+});
+
+// Build a ledger transfer from an account history entry
+// ({ trx_id, block, op_in_trx, timestamp, op }). Returns null for anything
+// that is not a transfer.
+export function toTransfer(operation) {
+  if (!Array.isArray(operation.op)) {
+    return null;
+  }
+
+  const [opType, opData] = operation.op;
+  if (opType !== 'transfer' && opType !== 'fill_recurrent_transfer') {
+    return null;
+  }
+
+  const { milli, symbol } = parseAsset(opData.amount);
+
+  return {
+    trxId: operation.trx_id,
+    block: operation.block,
+    opIndex: operation.op_in_trx || 0,
+    opType,
+    from: opData.from,
+    to: opData.to,
+    amount: {
+      milli,
+      symbol
+    },
+    memo: opData.memo || '',
+    timestamp: operation.timestamp
+  };
+}
+
+export async function isPaymentRecorded(client, transfer) {
+  const result = await client.query(`
+    SELECT 1 FROM payments
+    WHERE trx_id = $1 AND block_num = $2 AND op_index = $3
+      AND from_account = $4 AND to_account = $5
+  `, [transfer.trxId, transfer.block, transfer.opIndex, transfer.from, transfer.to]);
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Append a transfer to the payments ledger. `reason` explains the outcome to
+ * the payer: why it was rejected, or how the credited days were applied.
+ * HIVE payments also store their HBD value and the exchange rate used, and
+ * gifts the account that was credited instead of the payer.
+ * Throws on a duplicate operation, so call isPaymentRecorded() first in the
+ * same transaction.
+ */
+export async function recordPayment(client, transfer, {
+  planId = null,
+  creator = null,
+  product = null,
+  outcome,
+  reason = null,
+  expirationBefore = null,
+  expirationAfter = null
+}) {
+  const result = await client.query(`
+    INSERT INTO payments (
+      trx_id, block_num, op_index, op_type, from_account, to_account,
+      amount, symbol, memo, timestamp, plan_id, product, outcome, reason,
+      expiration_before, expiration_after, hbd_value, exchange_rate, rate_source,
+      beneficiary, creator
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+    RETURNING id
+  `, [
+    transfer.trxId,
+    transfer.block,
+    transfer.opIndex,
+    transfer.opType,
+    transfer.from,
+    transfer.to,
+    formatMilli(transfer.amount.milli),
+    transfer.amount.symbol,
+    transfer.memo,
+    transfer.timestamp,
+    planId,
+    product,
+    outcome,
+    reason,
+    expirationBefore,
+    expirationAfter,
+    transfer.hbdValue !== undefined ? formatMilli(transfer.hbdValue) : null,
+    transfer.rate ? formatRate(transfer.rate) : null,
+    transfer.rate?.source || null,
+    transfer.beneficiary || transfer.from,
+    creator
+  ]);
+
+  logger.debug('Payment recorded', {
+    id: result.rows[0].id,
+    trxId: transfer.trxId,
+    outcome
+  });
+
+  return result.rows[0].id;
+}
+
+/**
+ * Settle a pending payment, once its block is irreversible, with the outcome
+ * and the same details recordPayment() takes. The operation itself is left
+ * as it was recorded. Throws if the payment is no longer pending.
+ */
+export async function settlePayment(client, paymentId, transfer, {
+  planId = null,
+  creator = null,
+  product = null,
+  outcome,
+  reason = null,
+  expirationBefore = null,
+  expirationAfter = null
+}) {
+  const result = await client.query(`
+    UPDATE payments
+    SET plan_id = $1, product = $2, creator = $3, outcome = $4, reason = $5,
+      expiration_before = $6, expiration_after = $7, hbd_value = $8,
+      exchange_rate = $9, rate_source = $10, beneficiary = $11
+    WHERE id = $12 AND outcome = $13
+  `, [
+    planId,
+    product,
+    creator,
+    outcome,
+    reason,
+    expirationBefore,
+    expirationAfter,
+    transfer.hbdValue !== undefined ? formatMilli(transfer.hbdValue) : null,
+    transfer.rate ? formatRate(transfer.rate) : null,
+    transfer.rate?.source || null,
+    transfer.beneficiary || transfer.from,
+    paymentId,
+    PAYMENT_OUTCOMES.PENDING
+  ]);
+  if (result.rowCount === 0) {
+    throw new Error(`Payment ${paymentId} is not pending`);
+  }
+
+  logger.debug('Pending payment settled', {
+    id: paymentId,
+    trxId: transfer.trxId,
+    outcome
+  });
+
+  return paymentId;
+}
+
+/**
+ * Pending payments in blocks up to `block`, oldest first, as
+ * { id, transfer } with the transfer rebuilt as toTransfer() makes it.
+ */
+export async function getPendingPaymentsUpTo(client, block, limit) {
+  const result = await client.query(`
+    SELECT id, trx_id, block_num, op_index, op_type, from_account, to_account,
+      amount, symbol, memo, to_char(timestamp, 'YYYY-MM-DD"T"HH24:MI:SS') AS hive_timestamp
+    FROM payments
+    WHERE outcome = $1 AND block_num <= $2
+    ORDER BY block_num, id
+    LIMIT $3
+  `, [PAYMENT_OUTCOMES.PENDING, block, limit]);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    transfer: {
+      trxId: row.trx_id,
+      block: row.block_num,
+      opIndex: row.op_index,
+      opType: row.op_type,
+      from: row.from_account,
+      to: row.to_account,
+      amount: {
+        milli: toMilli(row.amount),
+        symbol: row.symbol
+      },
+      memo: row.memo,
+      timestamp: row.hive_timestamp
+    }
+  }));
+}
+
+// How many payments are pending, and the block of the oldest one
+export async function getPendingPaymentSummary(client = db) {
+  const result = await client.query(
+    'SELECT COUNT(*) AS count, MIN(block_num) AS oldest_block FROM payments WHERE outcome = $1',
+    [PAYMENT_OUTCOMES.PENDING]
+  );
+  return {
+    count: parseInt(result.rows[0].count),
+    oldestBlock: result.rows[0].oldest_block
+  };
+}
+
+function toPayment(row) {
+  return {
+    id: row.id,
+    trxId: row.trx_id,
+    block: row.block_num,
+    opIndex: row.op_index,
+    type: row.op_type,
+    from: row.from_account,
+    to: row.to_account,
+    beneficiary: row.beneficiary,
+    amount: row.amount,
+    symbol: row.symbol,
+    hbdValue: row.hbd_value,
+    exchangeRate: row.exchange_rate,
+    memo: row.memo,
+    timestamp: row.timestamp,
+    planId: row.plan_id,
+    creator: row.creator,
+    product: row.product,
+    outcome: row.outcome,
+    reason: row.reason,
+    expirationBefore: row.expiration_before,
+    expirationAfter: row.expiration_after,
+    refund: row.refund_status ? {
+      status: row.refund_status,
+      trxId: row.refund_trx_id
+    } : null
+  };
+}
+
+/**
+ * Payments made by or credited to an account, newest first.
+ * Returns { payments, total }.
+ */
+export async function getPayments(username, { limit, offset }) {
+  const total = await db.query(
+    'SELECT COUNT(*) AS total FROM payments WHERE from_account = $1 OR beneficiary = $1',
+    [username]
+  );
+  const result = await db.query(`
+    SELECT payments.*, refunds.status AS refund_status, refunds.refund_trx_id
+    FROM payments
+    LEFT JOIN refunds ON refunds.payment_id = payments.id
+    WHERE payments.from_account = $1 OR payments.beneficiary = $1
+    ORDER BY payments.timestamp DESC, payments.id DESC
+    LIMIT $2 OFFSET $3
+  `, [username, limit, offset]);
+
+  return {
+    payments: result.rows.map(toPayment),
+    total: parseInt(total.rows[0].total)
+  };
+}
+
+// Payments made by or gifted to an account that are still waiting for their
+// block to become irreversible, oldest first
+export async function getPendingPayments(username) {
+  const result = await db.query(`
+    SELECT * FROM payments
+    WHERE (from_account = $1 OR beneficiary = $1) AND outcome = $2
+    ORDER BY block_num, id
+  `, [username, PAYMENT_OUTCOMES.PENDING]);
+
+  return result.rows.map(toPayment);
+}
@@ -0,0 +1,319 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import logger from './logger.js';
+import { PRODUCTS } from './products.js';
+import { toMilli, formatMilli } from './asset.js';
+import { parseSubscribeMemo } from './memo.js';
+
+dotenv.config();
+
+const SUPPORTED_ASSETS = ['HBD', 'HIVE'];
+const DEFAULT_PLANS_FILE = 'plans.json';
+// How far the HBD value of a HIVE payment may fall short of the price
+const DEFAULT_HIVE_TOLERANCE = process.env.HIVE_PRICE_TOLERANCE !== undefined
+  ? Number(process.env.HIVE_PRICE_TOLERANCE)
+  : 0.02;
+// Days a lapsed subscription stays in grace, for plans without graceDays
+const DEFAULT_GRACE_DAYS = Number(process.env.GRACE_PERIOD_DAYS) || 0;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isAmount(value) {
+  return typeof value === 'string' && /^\d+(\.\d{1,3})?$/.test(value) && Number(value) > 0;
+}
+
+/**
+ * Plans describe what a transfer can buy: the receiving account, accepted
+ * asset(s), an exact `amount` or a `minAmount` in HBD, the `durationDays`
+ * credited, an optional `memo` regular expression (matched
+ * case-insensitively against the whole memo) and the `product` it grants.
+ *
+ * Plans that accept HIVE compare the payment's HBD value (see
+ * price-feed.js) with the price, allowing it to fall short by up to
+ * `hiveTolerance` (a fraction, 0.02 by default).
+ *
+ * Plans for a LEO creator set `creator`; their memo defaults to
+ * `subscribe:<creator>`, so one deployment can route payments for many
+ * creators through the same payment account.
+ *
+ * Plans with an exact `amount` can set `proRate`: any payment of at least
+ * `proRateMinimum` (the price by default) then buys time in proportion to
+ * the price, so two times the price buys two periods. Exact-price matches
+ * are always preferred over pro-rated ones.
+ *
+ * `graceDays` (GRACE_PERIOD_DAYS by default) keeps a subscription paid for
+ * by the plan in the grace state for that long after it expires, see
+ * subscription-states.js.
+ */
+export class PlanCatalog {
+  constructor(plans, source) {
+    this.source = source;
+    this.plans = plans.map(plan => ({
+      ...plan,
+      amountMilli: plan.amount !== undefined ? toMilli(plan.amount) : null,
+      minAmountMilli: plan.minAmount !== undefined ? toMilli(plan.minAmount) : null,
+      hiveTolerance: plan.hiveTolerance ?? DEFAULT_HIVE_TOLERANCE,
+      graceDays: plan.graceDays ?? DEFAULT_GRACE_DAYS,
+      proRate: plan.proRate === true,
+      proRateMinimumMilli: plan.proRate ? toMilli(plan.proRateMinimum ?? plan.amount) : null,
+      creator: plan.creator ? plan.creator.toLowerCase() : null,
+      memoPattern: plan.memo || plan.creator
+        ? new RegExp(plan.memo || `^subscribe:${escapeRegExp(plan.creator)}$`, 'i')
+        : null
+    }));
+  }
+
+  getCreators(product = null) {
+    return [...new Set(this.plans
+      .filter(plan => plan.creator && (!product || plan.product === product))
+      .map(plan => plan.creator))];
+  }
+
+  acceptsAsset(account, symbol) {
+    return this.plans.some(plan => plan.account === account && plan.assets.includes(symbol));
+  }
+
+  // HBD value of a transfer in milli units, once HIVE has been priced
+  getPaidMilli(transfer) {
+    return transfer.amount.symbol === 'HBD' ? transfer.amount.milli : transfer.hbdValue;
+  }
+
+  // HBD payments are compared exactly. HIVE payments (already converted to
+  // `hbdValue`) may miss an exact price, or fall short of a minimum, by the
+  // plan's tolerance. With `proRated`, only the pro-rating minimum applies.
+  isPriceMet(plan, transfer, proRated = false) {
+    const paid = this.getPaidMilli(transfer);
+    if (paid === undefined) {
+      return false;
+    }
+
+    const isHbd = transfer.amount.symbol === 'HBD';
+    const toleranceBasisPoints = isHbd ? 0 : Math.round(plan.hiveTolerance * 10000);
+
+    if (proRated || plan.amountMilli === null) {
+      const minimum = proRated ? plan.proRateMinimumMilli : plan.minAmountMilli;
+      return (minimum - paid) * 10000 <= minimum * toleranceBasisPoints;
+    }
+
+    return Math.abs(paid - plan.amountMilli) * 10000 <= plan.amountMilli * toleranceBasisPoints;
+  }
+
+  getAccounts() {
+    return [...new Set(this.plans.map(plan => plan.account))];
+  }
+
+  getProducts() {
+    return [...new Set(this.plans.map(plan => plan.product))];
+  }
+
+  getPlan(id) {
+    return this.plans.find(plan => plan.id === id) || null;
+  }
+
+  /**
+   * Find the plan a transfer pays for.
+   * Returns { plan, proRated } or { reason } explaining the closest miss.
+   */
+  match(transfer) {
+    const { to, amount: { milli, symbol } } = transfer;
+    // Gift memos are matched without their gift suffix (see memo.js)
+    const memo = transfer.planMemo ?? transfer.memo;
+    const value = symbol === 'HBD' || transfer.hbdValue === undefined
+      ? `${formatMilli(milli)} ${symbol}`
+      : `${formatMilli(milli)} ${symbol} (${formatMilli(transfer.hbdValue)} HBD)`;
+    const candidates = this.plans.filter(plan => plan.account === to);
+    if (candidates.length === 0) {
+      return { reason: `No plan is paid to ${to}` };
+    }
+
+    const named = parseSubscribeMemo(memo);
+    if (named && candidates.some(plan => plan.creator) &&
+        !candidates.some(plan => plan.creator === named)) {
+      return { reason: `@${named} is not a tracked creator` };
+    }
+
+    // Each check that passes gets a plan closer to matching; report the
+    // reason from the plan that got furthest.
+    let closest = { stage: -1, reason: null };
+    for (const proRated of [false, true]) {
+      for (const plan of candidates) {
+        if (proRated && !plan.proRate) {
+          continue;
+        }
+
+        const checks = [
+          [plan.assets.includes(symbol), `Unsupported asset ${symbol}`],
+          [this.isPriceMet(plan, transfer, proRated), `No plan costs ${value}`],
+          [!plan.memoPattern || plan.memoPattern.test(memo), `Memo "${memo}" does not match plan ${plan.id}`]
+        ];
+
+        const failed = checks.findIndex(([passed]) => !passed);
+        if (failed === -1) {
+          return { plan, proRated };
+        }
+        if (failed > closest.stage) {
+          closest = { stage: failed, reason: checks[failed][1] };
+        }
+      }
+    }
+
+    return { reason: closest.reason };
+  }
+}
+
+export function validatePlans(plans) {
+  if (!Array.isArray(plans) || plans.length === 0) {
+    return ['at least one plan is required'];
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  plans.forEach((plan, index) => {
+    const label = `plan ${plan?.id || index}`;
+    if (!plan || typeof plan !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (typeof plan.id !== 'string' || !plan.id) {
+      errors.push(`${label}: id is required`);
+    } else if (ids.has(plan.id)) {
+      errors.push(`${label}: duplicate id`);
+    } else {
+      ids.add(plan.id);
+    }
+    if (typeof plan.product !== 'string' || !/^[a-z0-9-]+$/.test(plan.product)) {
+      errors.push(`${label}: product must be lowercase letters, digits and dashes`);
+    }
+    if (typeof plan.account !== 'string' || !plan.account) {
+      errors.push(`${label}: account is required`);
+    }
+    if (!Array.isArray(plan.assets) || plan.assets.length === 0 ||
+        !plan.assets.every(asset => SUPPORTED_ASSETS.includes(asset))) {
+      errors.push(`${label}: assets must be a non-empty list of ${SUPPORTED_ASSETS.join(', ')}`);
+    }
+    if ((plan.amount === undefined) === (plan.minAmount === undefined)) {
+      errors.push(`${label}: exactly one of amount and minAmount is required`);
+    } else if (!isAmount(plan.amount ?? plan.minAmount)) {
+      errors.push(`${label}: amounts must be positive strings with up to 3 decimals, e.g. "5.000"`);
+    }
+    if (plan.creator !== undefined && (typeof plan.creator !== 'string' || !/^[a-z0-9.-]{3,16}$/i.test(plan.creator))) {
+      errors.push(`${label}: creator must be a Hive account name`);
+    }
+    if (plan.proRate !== undefined && typeof plan.proRate !== 'boolean') {
+      errors.push(`${label}: proRate must be true or false`);
+    } else if (plan.proRate && plan.amount === undefined) {
+      errors.push(`${label}: proRate requires an exact amount`);
+    }
+    if (plan.proRateMinimum !== undefined && (!plan.proRate || !isAmount(plan.proRateMinimum))) {
+      errors.push(`${label}: proRateMinimum must be an amount such as "1.000" and requires proRate`);
+    }
+    if (plan.hiveTolerance !== undefined &&
+        (typeof plan.hiveTolerance !== 'number' || plan.hiveTolerance < 0 || plan.hiveTolerance >= 1)) {
+      errors.push(`${label}: hiveTolerance must be a fraction between 0 and 1`);
+    }
+    if (plan.graceDays !== undefined && (typeof plan.graceDays !== 'number' || !(plan.graceDays >= 0))) {
+      errors.push(`${label}: graceDays must be zero or a positive number`);
+    }
+    if (typeof plan.durationDays !== 'number' || !(plan.durationDays > 0)) {
+      errors.push(`${label}: durationDays must be a positive number`);
+    }
+    if (plan.memo !== undefined) {
+      try {
+        new RegExp(plan.memo, 'i');
+      } catch (error) {
+        errors.push(`${label}: memo is not a valid regular expression (${error.message})`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+// The catalog implied by the original SUBSCRIPTION_* and AI_SUBSCRIPTION_* settings
+export function plansFromEnv(env = process.env) {
+  const plans = [];
+
+  // SUBSCRIPTION_ACCOUNT may list several creators, separated by commas
+  if (env.SUBSCRIPTION_PAYMENT_ACCOUNT) {
+    const creators = (env.SUBSCRIPTION_ACCOUNT || '').split(',').map(name => name.trim()).filter(Boolean);
+    for (const creator of creators) {
+      plans.push({
+        id: creators.length === 1 ? PRODUCTS.LEO_PREMIUM : `${PRODUCTS.LEO_PREMIUM}-${creator}`,
+        product: PRODUCTS.LEO_PREMIUM,
+        creator,
+        account: env.SUBSCRIPTION_PAYMENT_ACCOUNT,
+        assets: ['HBD'],
+        amount: Number(env.SUBSCRIPTION_AMOUNT).toFixed(3),
+        durationDays: Number(env.SUBSCRIPTION_DAYS) || 31
+      });
+    }
+  }
+
+  if (env.AI_PAYMENT_ACCOUNT) {
+    plans.push({
+      id: PRODUCTS.AI_SUMMARIES_FULL,
+      product: PRODUCTS.AI_SUMMARIES_FULL,
+      account: env.AI_PAYMENT_ACCOUNT,
+      assets: ['HBD'],
+      amount: Number(env.AI_SUBSCRIPTION_FULL_AMOUNT).toFixed(3),
+      durationDays: Number(env.AI_SUBSCRIPTION_FULL_DAYS)
+    }, {
+      id: PRODUCTS.AI_SUMMARIES_MINI,
+      product: PRODUCTS.AI_SUMMARIES_MINI,
+      account: env.AI_PAYMENT_ACCOUNT,
+      assets: ['HBD'],
+      amount: Number(env.AI_SUBSCRIPTION_MINI_AMOUNT).toFixed(3),
+      durationDays: Number(env.AI_SUBSCRIPTION_MINI_DAYS)
+    });
+  }
+
+  return plans;
+}
+
+/**
+ * Load the catalog from PLANS_FILE (plans.json by default), falling back to
+ * the legacy environment variables when the file doesn't exist.
+ * Throws if the catalog is invalid.
+ */
+export function loadPlanCatalog(file = process.env.PLANS_FILE || DEFAULT_PLANS_FILE) {
+  let plans;
+  let source;
+
+  if (fs.existsSync(file)) {
+    try {
+      plans = JSON.parse(fs.readFileSync(file, 'utf8')).plans;
+    } catch (error) {
+      throw new Error(`Could not read plan catalog ${file}: ${error.message}`);
+    }
+    source = file;
+  } else {
+    plans = plansFromEnv();
+    source = 'environment';
+  }
+
+  const errors = validatePlans(plans);
+  if (errors.length > 0) {
+    throw new Error(`Invalid plan catalog (${source}):\n- ${errors.join('\n- ')}`);
+  }
+
+  const catalog = new PlanCatalog(plans, source);
+  logger.info('Plan catalog loaded', {
+    source,
+    plans: catalog.plans.map(plan => plan.id)
+  });
+  return catalog;
+}
+
+let planCatalog = null;
+
+// The configured catalog, loaded on first use rather than on import, so
+// importing a module that uses it neither reads files nor throws
+export function getPlanCatalog() {
+  if (!planCatalog) {
+    planCatalog = loadPlanCatalog();
+  }
+  return planCatalog;
+}
@@ -0,0 +1,103 @@
+import dotenv from 'dotenv';
+import { DateTime } from 'luxon';
+import logger from './logger.js';
+import clock from './clock.js';
+import { callHiveApi } from './hive-api.js';
+import { parseAsset } from './asset.js';
+
+dotenv.config();
+
+const HOUR = 60 * 60 * 1000;
+// The witness feed median is recalculated once an hour
+const FEED_INTERVAL = HOUR;
+
+/**
+ * HBD per HIVE at the time of a transfer, as an exact fraction
+ * { base: milli HBD, quote: milli HIVE, source }.
+ *
+ * 'market' (the default) uses the hourly internal market history and works
+ * for any point in time with trades. 'feed' uses the witness price feed
+ * history, which only covers the last 3.5 days.
+ *
+ * Rates are cached per hour, since a past hour's price never changes.
+ */
+class PriceFeed {
+  constructor(options = {}) {
+    this.source = options.source || process.env.HIVE_PRICE_SOURCE || 'market';
+    this.maxCacheSize = options.maxCacheSize || 1000;
+    this.cache = new Map();
+
+    if (!['market', 'feed'].includes(this.source)) {
+      throw new Error(`Unknown HIVE_PRICE_SOURCE: ${this.source}`);
+    }
+  }
+
+  // Returns null when no price is known for that time; throws on API errors
+  async getRate(timestamp) {
+    const time = DateTime.fromISO(timestamp, { zone: 'utc' }).toMillis();
+    const hour = Math.floor(time / HOUR) * HOUR;
+
+    if (this.cache.has(hour)) {
+      return this.cache.get(hour);
+    }
+
+    const rate = this.source === 'feed'
+      ? await this.fetchFeedRate(time)
+      : await this.fetchMarketRate(time);
+
+    if (rate) {
+      this.cache.set(hour, rate);
+      if (this.cache.size > this.maxCacheSize) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+
+    logger.debug('HIVE price resolved', { timestamp, source: this.source, rate });
+    return rate;
+  }
+
+  // Close of the last hourly market bucket that opened at or before `time`,
+  // looking back up to a day for hours without trades
+  async fetchMarketRate(time) {
+    const format = (millis) => DateTime.fromMillis(millis, { zone: 'utc' }).toFormat("yyyy-LL-dd'T'HH:mm:ss");
+    const buckets = await callHiveApi('condenser_api.get_market_history', [
+      3600,
+      format(time - 24 * HOUR),
+      format(time + HOUR)
+    ]);
+
+    const bucket = buckets
+      .filter(candidate => DateTime.fromISO(candidate.open, { zone: 'utc' }).toMillis() <= time)
+      .pop();
+
+    if (!bucket || !bucket.hive.close) {
+      return null;
+    }
+
+    return {
+      base: bucket.non_hive.close,
+      quote: bucket.hive.close,
+      source: 'market'
+    };
+  }
+
+  // The feed history holds one median per hour, newest last
+  async fetchFeedRate(time) {
+    const history = await callHiveApi('condenser_api.get_feed_history', []);
+    const hoursAgo = Math.max(0, Math.floor((clock.now().getTime() - time) / FEED_INTERVAL));
+    const price = history.price_history[history.price_history.length - 1 - hoursAgo];
+
+    if (!price) {
+      return null;
+    }
+
+    return {
+      base: parseAsset(price.base).milli,
+      quote: parseAsset(price.quote).milli,
+      source: 'feed'
+    };
+  }
+}
+
+const priceFeed = new PriceFeed();
+export default priceFeed;
@@ -0,0 +1,10 @@
+// Built-in products, used by the plan catalog derived from the environment.
+// Each product is an independent subscription, so one account can hold
+// several of them with their own expiry dates.
+export const PRODUCTS = Object.freeze({
+  LEO_PREMIUM: 'leo-premium',
+  AI_SUMMARIES_FULL: 'ai-summaries-full',
+  AI_SUMMARIES_MINI: 'ai-summaries-mini'
+});
+
+export const DEFAULT_PRODUCT = PRODUCTS.LEO_PREMIUM;
@@ -0,0 +1,176 @@
+import dotenv from 'dotenv';
+import { DateTime } from 'luxon';
+import db from './db.js';
+import logger from './logger.js';
+import clock from './clock.js';
+import { formatMilli, toMilli } from './asset.js';
+
+dotenv.config();
+
+export const REFUND_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  // Set just before broadcasting; a refund left in this state after a crash
+  // may or may not have been sent and needs to be checked by hand
+  SENDING: 'sending',
+  SENT: 'sent',
+  DRY_RUN: 'dry-run',
+  FAILED: 'failed'
+});
+
+const REFUNDS_ENABLED = process.env.REFUNDS_ENABLED === 'true';
+const REFUND_MIN_AMOUNT = toMilli(process.env.REFUND_MIN_AMOUNT || '0.001');
+// Transfers older than this (e.g. found by the first backfill) are never refunded
+const REFUND_MAX_AGE_DAYS = Number(process.env.REFUND_MAX_AGE_DAYS) || 7;
+const MEMO_MAX_LENGTH = 2047;
+
+export function isRefundEnabled() {
+  return REFUNDS_ENABLED;
+}
+
+/**
+ * Queue a refund for a rejected payment, in the transaction that records it.
+ * Returns the refund id, or null when refunds are off or the payment is too
+ * small or too old to refund.
+ */
+export async function queueRefund(client, paymentId, transfer, reason) {
+  if (!REFUNDS_ENABLED) {
+    return null;
+  }
+
+  const cutoff = DateTime.fromJSDate(clock.now(), { zone: 'utc' }).minus({ days: REFUND_MAX_AGE_DAYS });
+  if (transfer.amount.milli < REFUND_MIN_AMOUNT || DateTime.fromISO(transfer.timestamp, { zone: 'utc' }) < cutoff) {
+    logger.debug('Rejected payment not eligible for a refund', {
+      paymentId,
+      amount: formatMilli(transfer.amount.milli),
+      timestamp: transfer.timestamp
+    });
+    return null;
+  }
+
+  const memo = `Refund: ${reason}`.slice(0, MEMO_MAX_LENGTH);
+  const result = await client.query(`
+    INSERT INTO refunds (payment_id, from_account, to_account, amount, symbol, memo)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (payment_id) DO NOTHING
+    RETURNING id
+  `, [
+    paymentId,
+    transfer.to,
+    transfer.from,
+    formatMilli(transfer.amount.milli),
+    transfer.amount.symbol,
+    memo
+  ]);
+
+  if (result.rows.length > 0) {
+    logger.info('Refund queued', { paymentId, to: transfer.from, reason });
+    return result.rows[0].id;
+  }
+  return null;
+}
+
+/**
+ * Sends queued refunds back to the payers through a broadcaster
+ * (see broadcaster.js). A refund is retried up to maxAttempts times.
+ */
+export class RefundProcessor {
+  constructor({ broadcaster, dryRun = false, maxAttempts = 5, interval = 60000, batchSize = 10 }) {
+    this.broadcaster = broadcaster;
+    this.dryRun = dryRun;
+    this.maxAttempts = maxAttempts;
+    this.interval = interval;
+    this.batchSize = batchSize;
+    this.timer = null;
+    this.isProcessing = false;
+  }
+
+  async start() {
+    const stuck = await db.query('SELECT id FROM refunds WHERE status = $1', [REFUND_STATUSES.SENDING]);
+    if (stuck.rows.length > 0) {
+      logger.warn('Refunds interrupted while broadcasting; check them on chain before retrying', {
+        refundIds: stuck.rows.map(row => row.id)
+      });
+    }
+
+    this.timer = setInterval(() => this.processPending(), this.interval);
+    await this.processPending();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async processPending() {
+    if (this.isProcessing) {
+      return;
+    }
+    this.isProcessing = true;
+
+    try {
+      const pending = await db.query(`
+        SELECT id, payment_id, from_account, to_account, amount, symbol, memo, attempts
+        FROM refunds
+        WHERE status = $1
+        ORDER BY id
+        LIMIT $2
+      `, [REFUND_STATUSES.PENDING, this.batchSize]);
+
+      for (const refund of pending.rows) {
+        await this.send(refund);
+      }
+    } catch (error) {
+      logger.error('Error processing refunds:', { error: error.message });
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async send(refund) {
+    await db.query(
+      'UPDATE refunds SET status = $1, attempts = attempts + 1, date_updated = CURRENT_TIMESTAMP WHERE id = $2',
+      [REFUND_STATUSES.SENDING, refund.id]
+    );
+
+    try {
+      const trxId = await this.broadcaster.transfer({
+        from: refund.from_account,
+        to: refund.to_account,
+        amount: { milli: toMilli(refund.amount), symbol: refund.symbol },
+        memo: refund.memo
+      });
+
+      await db.query(`
+        UPDATE refunds
+        SET status = $1, refund_trx_id = $2, last_error = NULL, date_updated = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [this.dryRun ? REFUND_STATUSES.DRY_RUN : REFUND_STATUSES.SENT, trxId, refund.id]);
+
+      logger.info('Refund sent', {
+        refundId: refund.id,
+        paymentId: refund.payment_id,
+        to: refund.to_account,
+        amount: `${refund.amount} ${refund.symbol}`,
+        trxId,
+        dryRun: this.dryRun
+      });
+    } catch (error) {
+      const attempts = refund.attempts + 1;
+      const status = attempts >= this.maxAttempts ? REFUND_STATUSES.FAILED : REFUND_STATUSES.PENDING;
+      await db.query(`
+        UPDATE refunds
+        SET status = $1, last_error = $2, date_updated = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [status, error.message, refund.id]);
+
+      logger.error('Refund failed:', {
+        refundId: refund.id,
+        attempts,
+        status,
+        error: error.message
+      });
+    }
+  }
+}
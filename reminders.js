@@ -0,0 +1,239 @@
+import dotenv from 'dotenv';
+import { DateTime } from 'luxon';
+import db from './db.js';
+import logger from './logger.js';
+import { getMemoKey } from './hive-api.js';
+
+dotenv.config();
+
+export const REMINDER_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  // Set just before broadcasting, like refunds
+  SENDING: 'sending',
+  SENT: 'sent',
+  DRY_RUN: 'dry-run',
+  // The subscription was renewed or ended before the reminder went out
+  STALE: 'stale',
+  FAILED: 'failed'
+});
+
+// Reminders are plain transfers of the smallest possible amount
+const REMINDER_AMOUNT = { milli: 1, symbol: 'HBD' };
+const MEMO_MAX_LENGTH = 2047;
+const DEFAULT_MEMO = 'Your {product} subscription expires in {days} ({expirationDate}). Renew to keep your access.';
+const REMINDERS_ENABLED = process.env.REMINDERS_ENABLED === 'true';
+
+export function isReminderEnabled() {
+  return REMINDERS_ENABLED;
+}
+
+// "7,1" -> [1, 7]
+export function parseReminderDays(text = '3') {
+  const days = text.split(',').map(entry => Number(entry.trim()));
+  if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 1)) {
+    throw new Error(`Invalid REMINDER_DAYS: ${text}`);
+  }
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// Fill in {username}, {creator}, {product}, {days} and {expirationDate}
+export function formatReminderMemo(template, { username, creator, product, expirationDate }, now = new Date()) {
+  const expiration = DateTime.fromJSDate(expirationDate, { zone: 'utc' });
+  const hours = Math.max(0, Math.round((expiration.toMillis() - now.getTime()) / (60 * 60 * 1000)));
+  const days = hours >= 48 ? `${Math.round(hours / 24)} days` : hours >= 24 ? '1 day' : `${hours} hours`;
+  const values = {
+    username,
+    creator: creator || '',
+    product,
+    days,
+    expirationDate: expiration.toFormat("yyyy-LL-dd HH:mm 'UTC'")
+  };
+  return template
+    .replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder))
+    .slice(0, MEMO_MAX_LENGTH);
+}
+
+/**
+ * Sends a reminder transfer from `account` to subscribers whose active
+ * subscription expires within one of `days` days. The `subscription_reminders`
+ * table records one reminder per subscription, expiration date and threshold,
+ * so nobody is reminded twice for the same thing, and a renewal (which moves
+ * the expiration date) re-arms the reminders.
+ */
+export class ReminderScheduler {
+  constructor({
+    broadcaster,
+    account,
+    days = [3],
+    memo = DEFAULT_MEMO,
+    encrypt = false,
+    dryRun = false,
+    maxAttempts = 3,
+    interval = 60 * 60 * 1000,
+    batchSize = 20
+  }) {
+    if (!account) {
+      throw new Error('REMINDER_ACCOUNT is required when reminders are enabled');
+    }
+    this.broadcaster = broadcaster;
+    this.account = account;
+    this.days = days;
+    this.memo = memo;
+    this.encrypt = encrypt;
+    this.dryRun = dryRun;
+    this.maxAttempts = maxAttempts;
+    this.interval = interval;
+    this.batchSize = batchSize;
+    this.timer = null;
+    this.isProcessing = false;
+  }
+
+  async start() {
+    const stuck = await db.query('SELECT id FROM subscription_reminders WHERE status = $1', [REMINDER_STATUSES.SENDING]);
+    if (stuck.rows.length > 0) {
+      logger.warn('Reminders interrupted while broadcasting; they will not be resent', {
+        reminderIds: stuck.rows.map(row => row.id)
+      });
+    }
+
+    this.timer = setInterval(() => this.run(), this.interval);
+    await this.run();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async run() {
+    if (this.isProcessing) {
+      return;
+    }
+    this.isProcessing = true;
+
+    try {
+      await this.queueDue();
+      await this.processPending();
+    } catch (error) {
+      logger.error('Error sending reminders:', { error: error.message });
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // Queue a reminder for each subscription at the smallest threshold it has
+  // reached, unless it already had that one or a later one
+  async queueDue() {
+    const result = await db.query(`
+      INSERT INTO subscription_reminders (username, creator, product, expiration_date, days_before)
+      SELECT username, creator, product, expiration_date, days_before
+      FROM (
+        SELECT s.username, s.creator, s.product, s.expiration_date,
+          (SELECT MIN(d) FROM unnest($1::int[]) AS d
+           WHERE s.expiration_date <= CURRENT_TIMESTAMP + make_interval(days => d)) AS days_before
+        FROM subscriptions s
+        WHERE s.active_subscription = TRUE AND s.expiration_date > CURRENT_TIMESTAMP
+      ) due
+      WHERE days_before IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM subscription_reminders r
+          WHERE r.username = due.username AND r.creator = due.creator AND r.product = due.product
+            AND r.expiration_date = due.expiration_date AND r.days_before <= due.days_before
+        )
+      ON CONFLICT DO NOTHING
+    `, [this.days]);
+
+    if (result.rowCount > 0) {
+      logger.info('Expiry reminders queued', { count: result.rowCount });
+    }
+  }
+
+  async processPending() {
+    // Drop reminders for subscriptions that were renewed or ended meanwhile
+    await db.query(`
+      UPDATE subscription_reminders r
+      SET status = $1, date_updated = CURRENT_TIMESTAMP
+      WHERE r.status = $2 AND NOT EXISTS (
+        SELECT 1 FROM subscriptions s
+        WHERE s.username = r.username AND s.creator = r.creator AND s.product = r.product
+          AND s.expiration_date = r.expiration_date AND s.active_subscription = TRUE
+      )
+    `, [REMINDER_STATUSES.STALE, REMINDER_STATUSES.PENDING]);
+
+    const pending = await db.query(`
+      SELECT id, username, creator, product, expiration_date, attempts
+      FROM subscription_reminders
+      WHERE status = $1
+      ORDER BY id
+      LIMIT $2
+    `, [REMINDER_STATUSES.PENDING, this.batchSize]);
+
+    for (const reminder of pending.rows) {
+      await this.send(reminder);
+    }
+  }
+
+  async send(reminder) {
+    await db.query(
+      'UPDATE subscription_reminders SET status = $1, attempts = attempts + 1, date_updated = CURRENT_TIMESTAMP WHERE id = $2',
+      [REMINDER_STATUSES.SENDING, reminder.id]
+    );
+
+    try {
+      const memo = formatReminderMemo(this.memo, {
+        username: reminder.username,
+        creator: reminder.creator,
+        product: reminder.product,
+        expirationDate: reminder.expiration_date
+      });
+
+      let encryptFor = null;
+      if (this.encrypt) {
+        encryptFor = await getMemoKey(reminder.username);
+        if (!encryptFor) {
+          throw new Error(`Account @${reminder.username} not found`);
+        }
+      }
+
+      const trxId = await this.broadcaster.transfer({
+        from: this.account,
+        to: reminder.username,
+        amount: REMINDER_AMOUNT,
+        memo,
+        encryptFor
+      });
+
+      await db.query(`
+        UPDATE subscription_reminders
+        SET status = $1, trx_id = $2, last_error = NULL, date_updated = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [this.dryRun ? REMINDER_STATUSES.DRY_RUN : REMINDER_STATUSES.SENT, trxId, reminder.id]);
+
+      logger.info('Expiry reminder sent', {
+        reminderId: reminder.id,
+        username: reminder.username,
+        product: reminder.product,
+        expirationDate: reminder.expiration_date,
+        trxId,
+        dryRun: this.dryRun
+      });
+    } catch (error) {
+      const attempts = reminder.attempts + 1;
+      const status = attempts >= this.maxAttempts ? REMINDER_STATUSES.FAILED : REMINDER_STATUSES.PENDING;
+      await db.query(`
+        UPDATE subscription_reminders
+        SET status = $1, last_error = $2, date_updated = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [status, error.message, reminder.id]);
+
+      logger.error('Expiry reminder failed:', {
+        reminderId: reminder.id,
+        attempts,
+        status,
+        error: error.message
+      });
+    }
+  }
+}
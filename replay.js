@@ -0,0 +1,251 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { DateTime } from 'luxon';
+import logger from './logger.js';
+import clock from './clock.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Recorded operations are stored as JSON Lines, one
+ * [historyIndex, operation] pair per line, the shape of the entries
+ * condenser_api.get_account_history returns. Operations from the live
+ * stream have no history index and are recorded with null. A line holding
+ * just the operation is read as well, so files can be written by hand.
+ */
+export function parseOperationLine(line) {
+  const entry = JSON.parse(line);
+  const [index, operation] = Array.isArray(entry) ? entry : [null, entry];
+  if (!operation || !Array.isArray(operation.op) || !operation.timestamp) {
+    throw new Error('Expected an operation with "op" and "timestamp"');
+  }
+  return { index, operation };
+}
+
+/**
+ * The answers the chain gave while the operations were processed are
+ * recorded in the same file, so a replay doesn't need a node:
+ *   {"lookup": "account", "account": "erin", "exists": true}
+ *   {"lookup": "rate", "timestamp": "2024-06-01T12:00:00", "rate": {"base": 250, "quote": 1000, "source": "market"}}
+ * A rate is the HBD per HIVE price (see price-feed.js), or null if none
+ * was known. Returns null for a line that is not a lookup.
+ */
+export function parseLookupLine(line) {
+  const entry = JSON.parse(line);
+  if (Array.isArray(entry) || entry?.lookup === undefined) {
+    return null;
+  }
+
+  if (entry.lookup === 'account') {
+    if (typeof entry.account !== 'string' || typeof entry.exists !== 'boolean') {
+      throw new Error('Expected an account lookup with "account" and "exists"');
+    }
+  } else if (entry.lookup === 'rate') {
+    const { rate } = entry;
+    if (!entry.timestamp || (rate !== null && !(Number.isInteger(rate?.base) && Number.isInteger(rate?.quote)))) {
+      throw new Error('Expected a rate lookup with "timestamp" and a "rate" of integer "base" and "quote", or null');
+    }
+  } else {
+    throw new Error(`Unknown lookup "${entry.lookup}"`);
+  }
+  return entry;
+}
+
+// Returns { operations, lookups } in file order
+export function readRecording(file) {
+  const operations = [];
+  const lookups = [];
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+
+  lines.forEach((line, lineNumber) => {
+    line = line.trim();
+    if (line === '') {
+      return;
+    }
+    try {
+      const lookup = parseLookupLine(line);
+      if (lookup) {
+        lookups.push(lookup);
+      } else {
+        operations.push(parseOperationLine(line));
+      }
+    } catch (error) {
+      throw new Error(`${file} line ${lineNumber + 1}: ${error.message}`);
+    }
+  });
+  return { operations, lookups };
+}
+
+export function readOperations(file) {
+  return readRecording(file).operations;
+}
+
+// Hive timestamps are UTC without a zone suffix
+function parseTime(timestamp) {
+  return DateTime.fromISO(timestamp, { zone: 'utc' }).toJSDate();
+}
+
+function operationTime(operation) {
+  return parseTime(operation.timestamp);
+}
+
+// Rates are looked up by the hour, as price-feed.js caches them
+function rateHour(timestamp) {
+  return Math.floor(parseTime(timestamp).getTime() / HOUR);
+}
+
+// Whether an account is named in an operation, which is how WorkerBee
+// decides which accountOperations observers see it
+function involves(operation, account) {
+  return Object.values(operation.op[1] || {}).includes(account);
+}
+
+/**
+ * Stands in for WorkerBee, playing back a recorded file instead of
+ * streaming from a node. HiveMonitor uses it when REPLAY_FILE is set.
+ *
+ * play() goes through the operations in file order. Before each one the
+ * clock is set to its timestamp and onTime(time) is awaited, so the caller
+ * can run whatever is due by then (like the expiry check); then a 'block'
+ * event is emitted and the operation is passed to every accountOperations
+ * observer of an account it names, one at a time.
+ */
+export class ReplayBot extends EventEmitter {
+  constructor(file, { onTime = async () => {} } = {}) {
+    super();
+    this.file = file;
+    this.onTime = onTime;
+    this.operations = [];
+    this.observers = new Set();
+    this.stopped = false;
+
+    this.observe = {
+      accountOperations: (account) => ({
+        subscribe: (observer) => {
+          const entry = { account, observer };
+          this.observers.add(entry);
+          return { unsubscribe: () => this.observers.delete(entry) };
+        }
+      })
+    };
+  }
+
+  async start() {
+    this.operations = readOperations(this.file);
+    this.stopped = false;
+    logger.info('Loaded recorded operations', { file: this.file, operations: this.operations.length });
+  }
+
+  async stop() {
+    this.stopped = true;
+  }
+
+  // Returns how many operations were played
+  async play() {
+    let played = 0;
+    for (const { operation } of this.operations) {
+      if (this.stopped) {
+        break;
+      }
+
+      const time = operationTime(operation);
+      clock.set(time);
+      await this.onTime(time);
+      this.emit('block', { number: operation.block });
+
+      for (const { account, observer } of [...this.observers]) {
+        if (involves(operation, account)) {
+          await observer.next?.(operation);
+        }
+      }
+      played++;
+    }
+
+    for (const { observer } of [...this.observers]) {
+      observer.complete?.();
+    }
+    return played;
+  }
+}
+
+/**
+ * Stands in for the chain a PaymentProcessor asks about gift recipients and
+ * HIVE prices, answering from the lookups recorded with the operations. An
+ * account that was never looked up counts as missing, and an hour without a
+ * recorded rate has no price, so a replay never goes to a node and always
+ * comes out the same.
+ */
+export class ReplayChain {
+  constructor(lookups = []) {
+    this.accounts = new Map();
+    this.rates = new Map();
+    for (const lookup of lookups) {
+      if (lookup.lookup === 'account') {
+        this.accounts.set(lookup.account, lookup.exists);
+      } else {
+        this.rates.set(rateHour(lookup.timestamp), lookup.rate);
+      }
+    }
+  }
+
+  static fromFile(file) {
+    return new ReplayChain(readRecording(file).lookups);
+  }
+
+  async accountExists(username) {
+    if (!this.accounts.has(username)) {
+      logger.warn('No recorded lookup for account; treating it as missing', { username });
+      return false;
+    }
+    return this.accounts.get(username);
+  }
+
+  async getRate(timestamp) {
+    return this.rates.get(rateHour(timestamp)) ?? null;
+  }
+}
+
+/**
+ * Appends the operations HiveMonitor processes, and the chain lookups made
+ * while crediting them (see recordLookups()), to a file in the format
+ * above, to be played back later. Enabled with RECORD_FILE.
+ */
+export class OperationRecorder {
+  constructor(file) {
+    this.file = file;
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      logger.error('Error recording operations:', { file, error: error.message });
+    });
+  }
+
+  record(operation, index = null) {
+    this.stream.write(`${JSON.stringify([index, operation])}\n`);
+  }
+
+  recordLookup(lookup) {
+    this.stream.write(`${JSON.stringify(lookup)}\n`);
+  }
+
+  // Wrap a PaymentProcessor chain so the answers ReplayChain needs are
+  // recorded as they are given
+  recordLookups(chain) {
+    return {
+      ...chain,
+      accountExists: async (account) => {
+        const exists = await chain.accountExists(account);
+        this.recordLookup({ lookup: 'account', account, exists });
+        return exists;
+      },
+      getRate: async (timestamp) => {
+        const rate = await chain.getRate(timestamp);
+        this.recordLookup({ lookup: 'rate', timestamp, rate });
+        return rate;
+      }
+    };
+  }
+
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
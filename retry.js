@@ -1,4 +1,5 @@
 import logger from './logger.js';
+import { retriesTotal, retryFailuresTotal } from './metrics.js';
 
 class RetryOperation {
   constructor(options = {}) {
@@ -19,6 +20,7 @@ class RetryOperation {
         lastError = error;
         
         if (attempt === this.maxAttempts) {
+          retryFailuresTotal.inc({ name: this.name });
           logger.error(`${this.name} operation failed after ${attempt} attempts`, {
             error: error.message,
             attempt
@@ -32,6 +34,7 @@ class RetryOperation {
           error: error.message
         });
 
+        retriesTotal.inc({ name: this.name });
         await new Promise(resolve => setTimeout(resolve, waitTime));
         attempt++;
       }
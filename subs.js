@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import os from 'os';
+import { parseArgs } from 'util';
+import { logToStderr } from './logger.js';
+import { isValidAccountName, normalizeAccountName } from './hive-account.js';
+
+// stdout is kept for command output, so it can be piped or parsed as JSON
+logToStderr();
+
+// Imported after logToStderr() so their startup logs stay off stdout
+const { default: db } = await import('./db.js');
+const {
+  getSubscriptions,
+  listSubscriptions,
+  validateTarget,
+  grantTrial,
+  extendSubscription,
+  revokeSubscription
+} = await import('./subscription-service.js');
+const { SUBSCRIPTION_STATES } = await import('./subscription-states.js');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_NOT_FOUND = 3;
+
+const USAGE = `Usage: subs <command> [options]
+
+Commands:
+  grant <username>    Grant a free trial of --days (never shortens a longer subscription)
+  extend <username>   Add --days on top of the remaining time
+  revoke <username>   End a subscription now
+  show <username>     Show every subscription of an account
+  list                List subscriptions
+  import <file.csv>   Grant trials to every username in a CSV file
+  export              Print subscriptions as CSV (or JSON with --json)
+
+Options:
+  --product <name>    Product to change, or to filter list/export by
+  --creator <name>    Creator, for creator products
+  --days <n>          Days to grant or extend; a "days" CSV column overrides it
+  --reason <text>     Reason for the audit log, required for changes
+  --admin <name>      Name for the audit log (default: cli:<local user>)
+  --active            Only active subscriptions (list/export)
+  --inactive          Only inactive subscriptions (list/export)
+  --state <state>     Only subscriptions in this state (list/export):
+                      trial, active, grace, expired or revoked
+  --limit <n>         Page size for list (default 50)
+  --offset <n>        Page offset for list (default 0)
+  --dry-run           import: validate the file without changing anything
+  --json              Print JSON
+  -h, --help          Show this help
+
+Exit codes: 0 success, 1 failure, 2 invalid usage or input, 3 not found or nothing changed`;
+
+const OPTIONS = {
+  product: { type: 'string' },
+  creator: { type: 'string' },
+  days: { type: 'string' },
+  reason: { type: 'string' },
+  admin: { type: 'string' },
+  active: { type: 'boolean' },
+  inactive: { type: 'boolean' },
+  state: { type: 'string' },
+  limit: { type: 'string' },
+  offset: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+function print(options, data, text) {
+  console.log(options.json ? JSON.stringify(data, null, 2) : text);
+}
+
+function formatSubscription(subscription) {
+  const target = subscription.creator ? `${subscription.product} (${subscription.creator})` : subscription.product;
+  const state = subscription.stateReason ? `${subscription.state} (${subscription.stateReason})` : subscription.state;
+  const gift = subscription.giftedBy ? `, gifted by @${subscription.giftedBy}` : '';
+  return `@${subscription.username} ${target}: ${state}, expires ${new Date(subscription.expirationDate).toISOString()}${gift}`;
+}
+
+function parseUsername(value) {
+  if (!value) {
+    throw new UsageError('A username is required');
+  }
+  const username = normalizeAccountName(value);
+  if (!isValidAccountName(username)) {
+    throw new UsageError(`"${value}" is not a valid Hive account name`);
+  }
+  return username;
+}
+
+function parseDays(value) {
+  const days = Number(value);
+  if (!/^\d+$/.test(String(value ?? '').trim()) || days <= 0) {
+    throw new UsageError('--days must be a positive whole number');
+  }
+  return days;
+}
+
+function parseTarget(options) {
+  const product = options.product;
+  const creator = options.creator ? normalizeAccountName(options.creator) : null;
+  if (!product) {
+    throw new UsageError('--product is required');
+  }
+  const targetError = validateTarget({ product, creator });
+  if (targetError) {
+    throw new UsageError(targetError);
+  }
+  return { product, creator };
+}
+
+function parseAudit(options) {
+  const reason = options.reason?.trim();
+  if (!reason) {
+    throw new UsageError('--reason is required');
+  }
+  return { admin: options.admin || `cli:${os.userInfo().username}`, reason };
+}
+
+function parseFilters(options) {
+  if (options.active && options.inactive) {
+    throw new UsageError('Use either --active or --inactive');
+  }
+  const states = Object.values(SUBSCRIPTION_STATES);
+  if (options.state !== undefined && !states.includes(options.state)) {
+    throw new UsageError(`--state must be one of: ${states.join(', ')}`);
+  }
+  return {
+    active: options.active ? true : options.inactive ? false : undefined,
+    state: options.state,
+    product: options.product,
+    creator: options.creator ? normalizeAccountName(options.creator) : undefined
+  };
+}
+
+async function grant(positionals, options) {
+  const username = parseUsername(positionals[0]);
+  const target = { username, ...parseTarget(options) };
+  const days = parseDays(options.days);
+
+  const subscription = await grantTrial({ ...target, days }, parseAudit(options));
+  if (!subscription) {
+    print(options, { changed: false, subscription: null },
+      `@${username} already has a subscription running longer than ${days} days`);
+    return EXIT_NOT_FOUND;
+  }
+  print(options, { changed: true, subscription }, formatSubscription(subscription));
+  return EXIT_OK;
+}
+
+async function extend(positionals, options) {
+  const username = parseUsername(positionals[0]);
+  const target = { username, ...parseTarget(options) };
+  const days = parseDays(options.days);
+
+  const subscription = await extendSubscription({ ...target, days }, parseAudit(options));
+  print(options, { changed: true, subscription }, formatSubscription(subscription));
+  return EXIT_OK;
+}
+
+async function revoke(positionals, options) {
+  const username = parseUsername(positionals[0]);
+  const target = { username, ...parseTarget(options) };
+
+  const subscription = await revokeSubscription(target, parseAudit(options));
+  if (!subscription) {
+    print(options, { changed: false, subscription: null }, `@${username} has no such subscription, or it is already revoked`);
+    return EXIT_NOT_FOUND;
+  }
+  print(options, { changed: true, subscription }, formatSubscription(subscription));
+  return EXIT_OK;
+}
+
+async function show(positionals, options) {
+  const username = parseUsername(positionals[0]);
+  const subscriptions = await getSubscriptions(username);
+  if (subscriptions.length === 0) {
+    print(options, { username, subscriptions }, `@${username} has no subscriptions`);
+    return EXIT_NOT_FOUND;
+  }
+  print(options, { username, subscriptions }, subscriptions.map(formatSubscription).join('\n'));
+  return EXIT_OK;
+}
+
+async function list(positionals, options) {
+  const limit = options.limit === undefined ? 50 : Number(options.limit);
+  const offset = options.offset === undefined ? 0 : Number(options.offset);
+  if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+    throw new UsageError('--limit must be a positive and --offset a non-negative whole number');
+  }
+
+  const { subscriptions, total } = await listSubscriptions({ ...parseFilters(options), limit, offset });
+
+  const summary = `${subscriptions.length} of ${total} subscriptions (offset ${offset})`;
+  print(options, { subscriptions, pagination: { limit, offset, total } },
+    [...subscriptions.map(formatSubscription), summary].join('\n'));
+  return EXIT_OK;
+}
+
+// One row per line: a username, optionally followed by a number of days.
+// A header row starting with "username" is skipped.
+function readTrialCsv(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: index + 1, fields: line.split(',').map(field => field.trim().replace(/^"|"$/g, '')) }))
+    .filter(({ fields }) => fields[0] !== '' && fields[0].toLowerCase() !== 'username');
+}
+
+async function importTrials(positionals, options) {
+  if (!positionals[0]) {
+    throw new UsageError('A CSV file is required');
+  }
+  const target = parseTarget(options);
+  const audit = parseAudit(options);
+  const defaultDays = options.days === undefined ? null : parseDays(options.days);
+
+  const rows = readTrialCsv(positionals[0]).map(({ line, fields }) => {
+    const username = normalizeAccountName(fields[0]);
+    const days = fields[1] ? Number(fields[1]) : defaultDays;
+    if (!isValidAccountName(username)) {
+      return { line, username, status: 'invalid', error: 'not a valid Hive account name' };
+    }
+    if (!Number.isInteger(days) || days <= 0) {
+      return { line, username, status: 'invalid', error: 'days must be a positive whole number' };
+    }
+    return { line, username, days, status: 'pending' };
+  });
+
+  for (const row of rows) {
+    if (row.status !== 'pending') {
+      continue;
+    }
+    if (options['dry-run']) {
+      row.status = 'valid';
+      continue;
+    }
+
+    try {
+      const subscription = await grantTrial({ username: row.username, ...target, days: row.days }, audit);
+      row.status = subscription ? 'granted' : 'skipped';
+      row.expirationDate = subscription?.expirationDate || null;
+    } catch (error) {
+      row.status = 'failed';
+      row.error = error.message;
+    }
+  }
+
+  const counts = rows.reduce((totals, row) => ({ ...totals, [row.status]: (totals[row.status] || 0) + 1 }), {});
+  const lines = rows
+    .filter(row => row.error || row.status === 'skipped')
+    .map(row => `line ${row.line} @${row.username}: ${row.status}${row.error ? ` (${row.error})` : ''}`);
+  lines.push(Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ') || 'No usernames found');
+  print(options, { dryRun: Boolean(options['dry-run']), counts, rows }, lines.join('\n'));
+
+  if (counts.invalid) {
+    return EXIT_USAGE;
+  }
+  return counts.failed ? EXIT_FAILED : EXIT_OK;
+}
+
+function csvField(value) {
+  const text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function exportSubscriptions(positionals, options) {
+  const filters = parseFilters(options);
+
+  const subscriptions = [];
+  const pageSize = 500;
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await listSubscriptions({ ...filters, limit: pageSize, offset });
+    subscriptions.push(...page.subscriptions);
+    if (subscriptions.length >= page.total || page.subscriptions.length === 0) {
+      break;
+    }
+  }
+
+  const columns = ['username', 'creator', 'product', 'active', 'state', 'subscriptionDate', 'expirationDate', 'giftedBy'];
+  const csv = [
+    columns.join(','),
+    ...subscriptions.map(subscription => columns.map(column => csvField(subscription[column])).join(','))
+  ].join('\n');
+  print(options, subscriptions, csv);
+  return EXIT_OK;
+}
+
+const COMMANDS = {
+  grant,
+  extend,
+  revoke,
+  show,
+  list,
+  import: importTrials,
+  export: exportSubscriptions
+};
+
+async function main(argv) {
+  let command;
+  let options = {};
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    options = values;
+    command = COMMANDS[positionals[0]];
+    if (values.help) {
+      console.log(USAGE);
+      return EXIT_OK;
+    }
+    if (!command) {
+      throw new UsageError(positionals[0] ? `Unknown command "${positionals[0]}"` : 'A command is required');
+    }
+    return await command(positionals.slice(1), values);
+  } catch (error) {
+    const usage = error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS');
+    if (options.json) {
+      console.log(JSON.stringify({ status: 'error', error: error.message }, null, 2));
+    } else {
+      console.error(`Error: ${error.message}`);
+      if (usage && !command) {
+        console.error(`\n${USAGE}`);
+      }
+    }
+    return usage ? EXIT_USAGE : EXIT_FAILED;
+  } finally {
+    await db.end().catch(() => {});
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,149 @@
+import db from './db.js';
+import { toMilli, formatMilli } from './asset.js';
+
+/**
+ * The subscriptions table only holds the current state of a subscription.
+ * Every change to the time it covers is also appended to
+ * subscription_periods, so tenure, renewals, lifetime value and churn can be
+ * worked out afterwards.
+ */
+export const PERIOD_KINDS = Object.freeze({
+  // Paid for with a transfer, by the subscriber or as a gift
+  PAYMENT: 'payment',
+  TRIAL: 'trial',
+  EXTENSION: 'extension',
+  // An admin set the expiration date
+  ADJUSTMENT: 'adjustment',
+  // Zero-length marker of an admin ending the subscription early
+  REVOCATION: 'revocation',
+  // One period per subscription that existed before periods were recorded
+  LEGACY: 'legacy'
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Append a period covering `startsAt` to `endsAt`. Payments also record the
+ * transaction, the payer and what was paid, with its value in HBD.
+ */
+export async function addPeriod(client, { username, creator, product }, {
+  kind,
+  startsAt,
+  endsAt,
+  payer = null,
+  trxId = null,
+  amount = null,
+  symbol = null,
+  hbdValue = null
+}) {
+  await client.query(`
+    INSERT INTO subscription_periods
+      (username, creator, product, kind, starts_at, ends_at, payer, trx_id, amount, symbol, hbd_value)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  `, [username, creator || '', product, kind, startsAt, endsAt, payer, trxId, amount, symbol, hbdValue]);
+}
+
+// Cut every period still running after `at` short at `at`
+export async function closePeriods(client, { username, creator, product }, at) {
+  await client.query(`
+    UPDATE subscription_periods
+    SET ended_at = $4
+    WHERE username = $1 AND creator = $2 AND product = $3
+      AND COALESCE(ended_at, ends_at) > $4
+  `, [username, creator || '', product, at]);
+}
+
+function toPeriod(row) {
+  return {
+    kind: row.kind,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    endedAt: row.ended_at,
+    payer: row.payer,
+    trxId: row.trx_id,
+    amount: row.amount,
+    symbol: row.symbol,
+    hbdValue: row.hbd_value,
+    dateCreated: row.date_created
+  };
+}
+
+/**
+ * Work out what an ordered list of periods adds up to: the stretches of
+ * uninterrupted access ("spells"), the days covered up to `now`, how often
+ * a payment continued a paid spell (renewals), the HBD paid in total, and
+ * when the subscriber last churned (the end of the latest spell, if over).
+ */
+export function summarizePeriods(periods, now = new Date()) {
+  const spells = [];
+  let renewals = 0;
+  let lifetimeMilli = 0;
+
+  for (const period of periods) {
+    if (period.kind === PERIOD_KINDS.PAYMENT && period.hbdValue !== null) {
+      lifetimeMilli += toMilli(period.hbdValue);
+    }
+
+    const start = new Date(period.startsAt);
+    const end = new Date(Math.min(new Date(period.endsAt), new Date(period.endedAt ?? period.endsAt)));
+    if (period.kind === PERIOD_KINDS.REVOCATION || end <= start) {
+      continue;
+    }
+
+    const isPayment = period.kind === PERIOD_KINDS.PAYMENT;
+    const current = spells[spells.length - 1];
+    if (current && start <= current.endsAt) {
+      if (isPayment && current.paid) {
+        renewals++;
+      }
+      current.endsAt = new Date(Math.max(current.endsAt, end));
+      current.paid = current.paid || isPayment;
+    } else {
+      spells.push({ startsAt: start, endsAt: end, paid: isPayment });
+    }
+  }
+
+  const tenureDays = spells.reduce((total, spell) => {
+    const covered = Math.min(spell.endsAt, now) - spell.startsAt;
+    return total + Math.max(0, covered) / DAY;
+  }, 0);
+  const latest = spells[spells.length - 1] || null;
+
+  return {
+    firstSubscribedAt: spells[0]?.startsAt || null,
+    currentSpellStartedAt: latest && latest.endsAt > now ? latest.startsAt : null,
+    churnedAt: latest && latest.endsAt <= now ? latest.endsAt : null,
+    tenureDays: Math.round(tenureDays * 100) / 100,
+    renewals,
+    lifetimeValue: `${formatMilli(lifetimeMilli)} HBD`,
+    spells
+  };
+}
+
+/**
+ * History of every subscription an account has had: its periods and their
+ * summary (see summarizePeriods).
+ */
+export async function getSubscriptionHistory(username) {
+  const result = await db.query(`
+    SELECT creator, product, kind, starts_at, ends_at, ended_at, payer, trx_id,
+      amount, symbol, hbd_value, date_created
+    FROM subscription_periods
+    WHERE username = $1
+    ORDER BY creator, product, starts_at, id
+  `, [username]);
+
+  const bySubscription = new Map();
+  for (const row of result.rows) {
+    const key = `${row.creator}/${row.product}`;
+    if (!bySubscription.has(key)) {
+      bySubscription.set(key, { creator: row.creator || null, product: row.product, periods: [] });
+    }
+    bySubscription.get(key).periods.push(toPeriod(row));
+  }
+
+  return [...bySubscription.values()].map(history => ({
+    ...history,
+    ...summarizePeriods(history.periods)
+  }));
+}
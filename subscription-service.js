@@ -0,0 +1,472 @@
+import { DateTime } from 'luxon';
+import dotenv from 'dotenv';
+import db from './db.js';
+import clock from './clock.js';
+import logger from './logger.js';
+import { getPlanCatalog } from './plans.js';
+import { queueEvent, WEBHOOK_EVENTS } from './webhooks.js';
+import { notifyChange, CHANGE_TYPES } from './change-feed.js';
+import { recordTransition, SUBSCRIPTION_STATES } from './subscription-states.js';
+import { addPeriod, closePeriods, PERIOD_KINDS } from './subscription-history.js';
+import { getPendingPayments } from './payments.js';
+
+dotenv.config();
+
+// Optional limit on how far ahead of today a subscription can be paid for
+const MAX_PREPAID_DAYS = process.env.MAX_PREPAID_DAYS ? Number(process.env.MAX_PREPAID_DAYS) : null;
+
+function toSubscription(row) {
+  return {
+    username: row.username,
+    creator: row.creator || null,
+    product: row.product,
+    active: row.active_subscription,
+    state: row.state,
+    stateReason: row.state_reason,
+    stateChangedAt: row.state_changed_at,
+    subscriptionDate: row.subscription_date,
+    expirationDate: row.expiration_date,
+    graceDays: Number(row.grace_days),
+    graceEndsAt: row.state === SUBSCRIPTION_STATES.TRIAL
+      ? row.expiration_date
+      : DateTime.fromJSDate(row.expiration_date).plus({ hours: Math.round(Number(row.grace_days) * 24) }).toJSDate(),
+    giftedBy: row.gifted_by,
+    dateUpdated: row.date_updated
+  };
+}
+
+const SUBSCRIPTION_COLUMNS = `
+  username, creator, product, active_subscription, state, state_reason,
+  state_changed_at, subscription_date, expiration_date, grace_days,
+  gifted_by, date_updated
+`;
+
+// Every subscription (any product, creator or state) held by one account,
+// each with the payments for it still waiting for an irreversible block
+export async function getSubscriptions(username) {
+  const result = await db.query(`
+    SELECT ${SUBSCRIPTION_COLUMNS}
+    FROM subscriptions
+    WHERE username = $1
+    ORDER BY creator, product
+  `, [username]);
+
+  const pending = await getPendingPayments(username);
+  return result.rows.map(toSubscription).map(subscription => ({
+    ...subscription,
+    pendingPayments: pending.filter(payment =>
+      payment.beneficiary === username &&
+      payment.product === subscription.product &&
+      (payment.creator || null) === subscription.creator
+    )
+  }));
+}
+
+/**
+ * Page through subscriptions, optionally filtered by active flag, state,
+ * product and creator. Returns { subscriptions, total }.
+ */
+export async function listSubscriptions({ active, state, product, creator, limit, offset }) {
+  const conditions = [];
+  const params = [];
+
+  if (active !== undefined) {
+    params.push(active);
+    conditions.push(`active_subscription = $${params.length}`);
+  }
+  if (state) {
+    params.push(state);
+    conditions.push(`state = $${params.length}`);
+  }
+  if (product) {
+    params.push(product);
+    conditions.push(`product = $${params.length}`);
+  }
+  if (creator) {
+    params.push(creator);
+    conditions.push(`creator = $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const total = await db.query(`SELECT COUNT(*) AS total FROM subscriptions ${where}`, params);
+  const result = await db.query(`
+    SELECT ${SUBSCRIPTION_COLUMNS}
+    FROM subscriptions
+    ${where}
+    ORDER BY username, creator, product
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  return {
+    subscriptions: result.rows.map(toSubscription),
+    total: parseInt(total.rows[0].total)
+  };
+}
+
+/**
+ * Work out what crediting `days` does to a subscription that expires at
+ * `previousExpirationDate` (null if there is none) and is in
+ * `previousState`, at time `now`. A renewal paid (at `paidAt`, when the
+ * payment was made, which can be well before it is processed) before
+ * expiry, or during the grace period, is added on top of the previous
+ * expiration date; otherwise the days count from `now`. Pro-rated payments can buy part of a day,
+ * which is added in whole hours. With `maxPrepaidDays`, the expiration date
+ * is capped that many days from `now`, but never brought forward.
+ * Returns { baseDate, expirationDate, daysCredited, capped, isEarlyRenewal, note }.
+ */
+export function computeRenewal({ now, paidAt = now, previousExpirationDate, previousState, days, maxPrepaidDays = null }) {
+  // A payment can't be made after it is processed; this also keeps a
+  // timestamp from the future from stacking onto an expired subscription
+  if (paidAt > now) {
+    paidAt = now;
+  }
+  const isGraceRenewal = previousState === SUBSCRIPTION_STATES.GRACE;
+  const isEarlyRenewal = previousExpirationDate !== null && (paidAt < previousExpirationDate || isGraceRenewal);
+  const baseDate = isEarlyRenewal ? previousExpirationDate : now;
+  const hours = Math.round(days * 24);
+  let expirationDate = DateTime.fromJSDate(baseDate)
+    .plus({ days: Math.floor(hours / 24), hours: hours % 24 })
+    .toJSDate();
+
+  let capped = false;
+  if (maxPrepaidDays !== null) {
+    const maxExpirationDate = DateTime.fromJSDate(now).plus({ days: maxPrepaidDays }).toJSDate();
+    if (expirationDate > maxExpirationDate) {
+      capped = true;
+      // Never shorten a subscription that is already past the cap
+      expirationDate = isEarlyRenewal && previousExpirationDate > maxExpirationDate
+        ? previousExpirationDate
+        : maxExpirationDate;
+    }
+  }
+
+  const daysCredited = Math.round((expirationDate - baseDate) / (24 * 60 * 60 * 1000) * 100) / 100;
+
+  const daysLabel = Number.isInteger(days) ? days : days.toFixed(2);
+  let note = isEarlyRenewal
+    ? `Renewed ${isGraceRenewal ? 'in the grace period' : 'early'}: ${daysLabel} days added to the expiration date ${previousExpirationDate.toISOString()}`
+    : `${daysLabel} days from ${now.toISOString()}`;
+  if (capped) {
+    note += `; capped at ${maxPrepaidDays} days prepaid, ${daysCredited} days credited`;
+  }
+
+  return { baseDate, expirationDate, daysCredited, capped, isEarlyRenewal, note };
+}
+
+/**
+ * Credit `days` of `product` (for `creator`, if it is a creator plan) to
+ * `username`, paid for by `payer` (someone else for gifts), as of `now`,
+ * with the payment made at `paidAt`.
+ * See computeRenewal() for how the days are added; MAX_PREPAID_DAYS only
+ * applies when `enforceCap` is true. The subscription moves to `state` for
+ * `stateReason`, and takes the paying plan's `graceDays` when given. The
+ * time credited is added to the subscription's history as a `periodKind`
+ * period, with the `payment` ({ trxId, amount, symbol, hbdValue }) that
+ * bought it. The change is published on the change feed unless `notify` is
+ * false.
+ * Returns the decision: previous state, previous and new expiration date,
+ * the days actually credited and a note explaining it.
+ */
+export async function addSubscription({
+  username,
+  creator = null,
+  product,
+  days,
+  payer = username,
+  enforceCap = true,
+  notify = true,
+  graceDays = null,
+  state = SUBSCRIPTION_STATES.ACTIVE,
+  stateReason = 'Payment credited',
+  periodKind = PERIOD_KINDS.PAYMENT,
+  payment = {},
+  now = clock.now(),
+  paidAt = now
+}, client = db) {
+  const subscriptionDate = now;
+  // Products without a creator are stored with an empty creator, see migrations/001_subscriptions.sql
+  creator = creator || '';
+
+  try {
+    const existingSubscription = await client.query(
+      'SELECT state, expiration_date FROM subscriptions WHERE username = $1 AND creator = $2 AND product = $3 FOR UPDATE',
+      [username, creator, product]
+    );
+
+    const previous = existingSubscription.rows[0];
+    const previousExpirationDate = previous ? new Date(previous.expiration_date) : null;
+    const previousState = previous ? previous.state : null;
+
+    const { baseDate, expirationDate, daysCredited, capped, note } = computeRenewal({
+      now: subscriptionDate,
+      paidAt,
+      previousExpirationDate,
+      previousState,
+      days,
+      maxPrepaidDays: enforceCap ? MAX_PREPAID_DAYS : null
+    });
+
+    // Insert or update the subscription
+    const query = `
+      INSERT INTO subscriptions (username, creator, product, subscription_date, expiration_date, gifted_by, grace_days)
+      VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 0))
+      ON CONFLICT (username, creator, product) 
+      DO UPDATE SET 
+        subscription_date = $4,
+        expiration_date = $5,
+        gifted_by = $6,
+        grace_days = COALESCE($7, subscriptions.grace_days),
+        date_updated = CURRENT_TIMESTAMP,
+        active_subscription = TRUE
+    `;
+    
+    const giftedBy = payer !== username ? payer : null;
+    await client.query(query, [username, creator, product, subscriptionDate, expirationDate, giftedBy, graceDays]);
+    await recordTransition(client, { username, creator, product }, previousState, state, stateReason);
+    await addPeriod(client, { username, creator, product }, {
+      kind: periodKind,
+      startsAt: baseDate,
+      endsAt: expirationDate,
+      payer: periodKind === PERIOD_KINDS.PAYMENT ? payer : null,
+      ...payment
+    });
+    if (notify) {
+      await notifyChange(client, CHANGE_TYPES.CREDITED, {
+        username,
+        creator,
+        product,
+        state,
+        active: true,
+        expirationDate,
+        previousExpirationDate
+      });
+    }
+    
+    logger.info('Subscription added or updated successfully', {
+      username,
+      creator,
+      product,
+      giftedBy,
+      subscriptionDate,
+      previousExpirationDate,
+      expirationDate,
+      daysCredited,
+      capped
+    });
+    
+    return {
+      previousState,
+      previousExpirationDate,
+      expirationDate,
+      daysCredited,
+      capped,
+      note
+    };
+  } catch (error) {
+    logger.error('Error adding subscription:', {
+      error: error.message,
+      username,
+      creator,
+      product,
+      days
+    });
+    throw error;
+  }
+}
+
+/**
+ * Check that a product exists in the plan catalog and, for creator
+ * products, that `creator` is one of its creators.
+ * Returns an error message, or null when the target is valid.
+ */
+export function validateTarget({ product, creator }) {
+  const planCatalog = getPlanCatalog();
+  const products = planCatalog.getProducts();
+  if (!products.includes(product)) {
+    return `product must be one of: ${products.join(', ')}`;
+  }
+
+  const creators = planCatalog.getCreators(product);
+  if (creators.length > 0 && !creators.includes(creator)) {
+    return `creator must be one of: ${creators.join(', ')}`;
+  }
+  if (creators.length === 0 && creator) {
+    return `${product} is not tied to a creator`;
+  }
+  return null;
+}
+
+async function getSubscription(client, { username, creator, product }) {
+  const result = await client.query(`
+    SELECT ${SUBSCRIPTION_COLUMNS}
+    FROM subscriptions
+    WHERE username = $1 AND creator = $2 AND product = $3
+    FOR UPDATE
+  `, [username, creator || '', product]);
+
+  return result.rows.length > 0 ? toSubscription(result.rows[0]) : null;
+}
+
+async function writeAuditLog(client, { admin, action, username, creator, product, reason, before, after }) {
+  await client.query(`
+    INSERT INTO admin_audit_log (admin, action, username, creator, product, reason, expiration_before, expiration_after)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [
+    admin,
+    action,
+    username,
+    creator || '',
+    product,
+    reason,
+    before?.expirationDate || null,
+    after?.expirationDate || null
+  ]);
+
+  logger.info('Manual subscription change', {
+    admin,
+    action,
+    username,
+    creator: creator || null,
+    product,
+    reason,
+    expirationBefore: before?.expirationDate || null,
+    expirationAfter: after?.expirationDate || null
+  });
+}
+
+// Run a manual change, its audit log entry and its change feed notification
+// in one transaction. `change` returns whether anything was changed, and
+// records the state transition with the `stateReason` it is given.
+async function manualChange(action, target, { admin, reason }, change) {
+  return db.transaction(async (client) => {
+    const before = await getSubscription(client, target);
+    const applied = await change(client, before, `${action} by ${admin}: ${reason}`);
+    if (!applied) {
+      return null;
+    }
+
+    const after = await getSubscription(client, target);
+    await writeAuditLog(client, { admin, action, ...target, reason, before, after });
+    await notifyChange(client, action, { ...after, previousExpirationDate: before?.expirationDate || null });
+    return after;
+  });
+}
+
+// Manual changes keep a paid subscription paid, and a trial a trial
+function isPaid(subscription) {
+  return [SUBSCRIPTION_STATES.ACTIVE, SUBSCRIPTION_STATES.GRACE].includes(subscription?.state);
+}
+
+/**
+ * Grant a free trial of `days`. An existing subscription that already runs
+ * longer is left as it is; returns null in that case.
+ */
+export async function grantTrial({ username, creator, product, days }, audit) {
+  const target = { username, creator, product };
+  return manualChange(CHANGE_TYPES.TRIAL_GRANTED, target, audit, async (client, before, stateReason) => {
+    const now = clock.now();
+    const expirationDate = DateTime.fromJSDate(now).plus({ days }).toJSDate();
+    if (before && before.expirationDate >= expirationDate) {
+      return false;
+    }
+
+    await client.query(`
+      INSERT INTO subscriptions (username, creator, product, subscription_date, expiration_date)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (username, creator, product)
+      DO UPDATE SET
+        subscription_date = EXCLUDED.subscription_date,
+        expiration_date = EXCLUDED.expiration_date,
+        gifted_by = NULL,
+        date_updated = CURRENT_TIMESTAMP,
+        active_subscription = TRUE
+    `, [username, creator || '', product, now, expirationDate]);
+    const state = isPaid(before) ? SUBSCRIPTION_STATES.ACTIVE : SUBSCRIPTION_STATES.TRIAL;
+    await recordTransition(client, target, before?.state || null, state, stateReason);
+    await addPeriod(client, target, { kind: PERIOD_KINDS.TRIAL, startsAt: now, endsAt: expirationDate });
+    await queueEvent(client, WEBHOOK_EVENTS.TRIAL_GRANTED, {
+      username,
+      creator: creator || null,
+      product,
+      state,
+      days,
+      previousExpirationDate: before?.expirationDate || null,
+      expirationDate
+    });
+    return true;
+  });
+}
+
+// Add `days` to the remaining time (or from now, if expired), ignoring MAX_PREPAID_DAYS
+export async function extendSubscription({ username, creator, product, days }, audit) {
+  const target = { username, creator, product };
+  return manualChange(CHANGE_TYPES.EXTENDED, target, audit, async (client, before, stateReason) => {
+    await addSubscription({
+      username,
+      creator,
+      product,
+      days,
+      enforceCap: false,
+      notify: false,
+      periodKind: PERIOD_KINDS.EXTENSION,
+      state: before?.state === SUBSCRIPTION_STATES.TRIAL ? SUBSCRIPTION_STATES.TRIAL : SUBSCRIPTION_STATES.ACTIVE,
+      stateReason
+    }, client);
+    return true;
+  });
+}
+
+// End a subscription now. Returns null if the account doesn't have it, or
+// it is already revoked.
+export async function revokeSubscription({ username, creator, product }, audit) {
+  const target = { username, creator, product };
+  return manualChange(CHANGE_TYPES.REVOKED, target, audit, async (client, before, stateReason) => {
+    if (!before || before.state === SUBSCRIPTION_STATES.REVOKED) {
+      return false;
+    }
+
+    const now = clock.now();
+    await client.query(`
+      UPDATE subscriptions
+      SET expiration_date = $4, active_subscription = FALSE, date_updated = CURRENT_TIMESTAMP
+      WHERE username = $1 AND creator = $2 AND product = $3
+    `, [username, creator || '', product, now]);
+    await recordTransition(client, target, before.state, SUBSCRIPTION_STATES.REVOKED, stateReason);
+    await closePeriods(client, target, now);
+    await addPeriod(client, target, { kind: PERIOD_KINDS.REVOCATION, startsAt: now, endsAt: now });
+    return true;
+  });
+}
+
+// Set an exact expiration date, creating the subscription if needed
+export async function setExpiration({ username, creator, product, expirationDate }, audit) {
+  const target = { username, creator, product };
+  return manualChange(CHANGE_TYPES.EXPIRATION_SET, target, audit, async (client, before, stateReason) => {
+    const now = clock.now();
+    await client.query(`
+      INSERT INTO subscriptions (username, creator, product, subscription_date, expiration_date, active_subscription)
+      VALUES ($1, $2, $3, $5, $4, $6)
+      ON CONFLICT (username, creator, product)
+      DO UPDATE SET
+        expiration_date = EXCLUDED.expiration_date,
+        date_updated = CURRENT_TIMESTAMP,
+        active_subscription = EXCLUDED.active_subscription
+    `, [username, creator || '', product, expirationDate, now, expirationDate > now]);
+
+    // A later date adds the difference to the history, an earlier one cuts
+    // the periods short
+    const previousEnd = before && before.expirationDate > now ? before.expirationDate : now;
+    if (expirationDate > previousEnd) {
+      await addPeriod(client, target, { kind: PERIOD_KINDS.ADJUSTMENT, startsAt: previousEnd, endsAt: expirationDate });
+    } else {
+      await closePeriods(client, target, expirationDate);
+    }
+
+    let state = SUBSCRIPTION_STATES.EXPIRED;
+    if (expirationDate > now) {
+      state = before?.state === SUBSCRIPTION_STATES.TRIAL ? SUBSCRIPTION_STATES.TRIAL : SUBSCRIPTION_STATES.ACTIVE;
+    }
+    await recordTransition(client, target, before?.state || null, state, stateReason);
+    return true;
+  });
+}
@@ -0,0 +1,114 @@
+import db from './db.js';
+import logger from './logger.js';
+
+/**
+ * A subscription is in one of these states:
+ *
+ * - trial: granted by an admin, ends without a grace period
+ * - active: paid for (or extended by an admin)
+ * - grace: past its expiration date, but inside the grace period of the plan
+ *   that last paid for it, so a late renewal continues it
+ * - expired: past its expiration date (and grace period)
+ * - revoked: ended early by an admin
+ *
+ * active_subscription is kept TRUE in the first three, for consumers that
+ * only read the flag.
+ */
+export const SUBSCRIPTION_STATES = Object.freeze({
+  TRIAL: 'trial',
+  ACTIVE: 'active',
+  GRACE: 'grace',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked'
+});
+
+const { TRIAL, ACTIVE, GRACE, EXPIRED, REVOKED } = SUBSCRIPTION_STATES;
+
+export const ACTIVE_STATES = Object.freeze([TRIAL, ACTIVE, GRACE]);
+
+// Allowed transitions; null is a subscription that doesn't exist yet
+const TRANSITIONS = {
+  null: [TRIAL, ACTIVE, EXPIRED],
+  [TRIAL]: [ACTIVE, EXPIRED, REVOKED],
+  [ACTIVE]: [GRACE, EXPIRED, REVOKED],
+  [GRACE]: [ACTIVE, EXPIRED, REVOKED],
+  [EXPIRED]: [TRIAL, ACTIVE, REVOKED],
+  [REVOKED]: [TRIAL, ACTIVE, EXPIRED]
+};
+
+export function canTransition(from, to) {
+  return TRANSITIONS[from]?.includes(to) || false;
+}
+
+/**
+ * Move a subscription from state `from` (null if it was just created) to
+ * `to`, recording why in subscription_transitions. Does nothing when the
+ * state doesn't change. Must run in the transaction that changed the
+ * subscription.
+ */
+export async function recordTransition(client, { username, creator, product }, from, to, reason) {
+  if (from === to) {
+    return false;
+  }
+  if (!canTransition(from, to)) {
+    throw new Error(`Subscription cannot go from ${from || 'new'} to ${to}`);
+  }
+
+  const result = await client.query(`
+    UPDATE subscriptions
+    SET state = $4, active_subscription = $5, state_reason = $6,
+      state_changed_at = CURRENT_TIMESTAMP, date_updated = CURRENT_TIMESTAMP
+    WHERE username = $1 AND creator = $2 AND product = $3
+    RETURNING expiration_date
+  `, [username, creator || '', product, to, ACTIVE_STATES.includes(to), reason]);
+
+  await client.query(`
+    INSERT INTO subscription_transitions (username, creator, product, from_state, to_state, reason, expiration_date)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [username, creator || '', product, from, to, reason, result.rows[0]?.expiration_date || null]);
+
+  logger.info('Subscription state changed', {
+    username,
+    creator: creator || null,
+    product,
+    from,
+    to,
+    reason
+  });
+  return true;
+}
+
+function toTransition(row) {
+  return {
+    creator: row.creator || null,
+    product: row.product,
+    from: row.from_state,
+    to: row.to_state,
+    reason: row.reason,
+    expirationDate: row.expiration_date,
+    timestamp: row.date_created
+  };
+}
+
+/**
+ * State changes of an account's subscriptions, newest first.
+ * Returns { transitions, total }.
+ */
+export async function getTransitions(username, { limit, offset }) {
+  const total = await db.query(
+    'SELECT COUNT(*) AS total FROM subscription_transitions WHERE username = $1',
+    [username]
+  );
+  const result = await db.query(`
+    SELECT creator, product, from_state, to_state, reason, expiration_date, date_created
+    FROM subscription_transitions
+    WHERE username = $1
+    ORDER BY date_created DESC, id DESC
+    LIMIT $2 OFFSET $3
+  `, [username, limit, offset]);
+
+  return {
+    transitions: result.rows.map(toTransition),
+    total: parseInt(total.rows[0].total)
+  };
+}
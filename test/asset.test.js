@@ -0,0 +1,40 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toMilli, formatMilli, parseAsset, convertMilli, formatRate } from '../asset.js';
+
+test('toMilli converts amounts with up to three decimals', () => {
+  assert.equal(toMilli('5'), 5000);
+  assert.equal(toMilli('5.000'), 5000);
+  assert.equal(toMilli('1.5'), 1500);
+  assert.equal(toMilli('0.001'), 1);
+});
+
+test('toMilli rejects anything else', () => {
+  for (const amount of ['1.0001', '-1', 'abc', '1,5', '']) {
+    assert.throws(() => toMilli(amount), /Invalid amount/, amount);
+  }
+});
+
+test('formatMilli prints three decimals', () => {
+  assert.equal(formatMilli(5000), '5.000');
+  assert.equal(formatMilli(1), '0.001');
+  assert.equal(formatMilli(-1500), '-1.500');
+});
+
+test('parseAsset splits the amount and symbol', () => {
+  assert.deepEqual(parseAsset('5.000 HBD'), { milli: 5000, symbol: 'HBD' });
+  assert.deepEqual(parseAsset('0.250 HIVE'), { milli: 250, symbol: 'HIVE' });
+});
+
+test('convertMilli applies a base/quote rate, rounding down', () => {
+  const rate = { base: 250, quote: 1000 };
+  assert.equal(convertMilli(20000, rate), 5000);
+  assert.equal(convertMilli(3, rate), 0);
+  assert.equal(convertMilli(1000, { base: 1, quote: 3 }), 333);
+});
+
+test('formatRate prints the rate as a decimal', () => {
+  assert.equal(formatRate({ base: 250, quote: 1000 }), '0.250000');
+  assert.equal(formatRate({ base: 1, quote: 3 }, 3), '0.333');
+});
@@ -0,0 +1,57 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import CircuitBreaker from '../circuit-breaker.js';
+
+const fail = async () => {
+  throw new Error('boom');
+};
+
+test('the breaker stays closed below the failure threshold', async () => {
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 3 });
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(breaker.execute(fail), /boom/);
+  }
+  assert.equal(breaker.isOpen, false);
+  assert.equal(breaker.failureCount, 2);
+  assert.equal(await breaker.execute(async () => 'ok'), 'ok');
+});
+
+test('a success resets the failure count', async () => {
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 3 });
+  await assert.rejects(breaker.execute(fail));
+  await breaker.execute(async () => 'ok');
+  assert.deepEqual(breaker.getState(), { isOpen: false, failureCount: 0, lastFailureTime: breaker.lastFailureTime });
+});
+
+test('the breaker opens at the threshold and rejects without calling the operation', async () => {
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 2, resetTimeout: 60000 });
+  await assert.rejects(breaker.execute(fail));
+  await assert.rejects(breaker.execute(fail));
+  assert.equal(breaker.isOpen, true);
+
+  let called = false;
+  await assert.rejects(breaker.execute(async () => {
+    called = true;
+  }), /Circuit breaker is open for test/);
+  assert.equal(called, false);
+});
+
+test('the breaker lets an operation through once the reset timeout has passed', async () => {
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1, resetTimeout: 20 });
+  await assert.rejects(breaker.execute(fail));
+  assert.equal(breaker.isOpen, true);
+
+  await sleep(30);
+  assert.equal(await breaker.execute(async () => 'ok'), 'ok');
+  assert.deepEqual(breaker.getState(), { isOpen: false, failureCount: 0, lastFailureTime: null });
+});
+
+test('a failure after the reset timeout opens the breaker again', async () => {
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1, resetTimeout: 20 });
+  await assert.rejects(breaker.execute(fail));
+  await sleep(30);
+  await assert.rejects(breaker.execute(fail), /boom/);
+  assert.equal(breaker.isOpen, true);
+});
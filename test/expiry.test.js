@@ -0,0 +1,79 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getGraceEnd, getLapsedState, checkExpiredSubscriptions } from '../expiry.js';
+import { SUBSCRIPTION_STATES } from '../subscription-states.js';
+
+const { TRIAL, ACTIVE, GRACE, EXPIRED, REVOKED } = SUBSCRIPTION_STATES;
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2024-03-10T00:00:00Z');
+const hoursFromNow = (hours) => new Date(now.getTime() + hours * HOUR);
+
+test('getGraceEnd adds the grace days in whole hours', () => {
+  assert.deepEqual(getGraceEnd(now, 3), hoursFromNow(72));
+  assert.deepEqual(getGraceEnd(now, '0.5'), hoursFromNow(12));
+  assert.deepEqual(getGraceEnd(now, 0), now);
+});
+
+test('subscriptions that have not expired stay as they are', () => {
+  for (const state of [TRIAL, ACTIVE]) {
+    assert.equal(getLapsedState({ state, expirationDate: hoursFromNow(1), graceDays: 3 }, now), null);
+  }
+});
+
+test('a paid subscription enters its grace period when it expires', () => {
+  assert.equal(getLapsedState({ state: ACTIVE, expirationDate: hoursFromNow(-1), graceDays: 3 }, now), GRACE);
+});
+
+test('a paid subscription without a grace period expires', () => {
+  assert.equal(getLapsedState({ state: ACTIVE, expirationDate: hoursFromNow(-1), graceDays: 0 }, now), EXPIRED);
+});
+
+test('trials expire without a grace period', () => {
+  assert.equal(getLapsedState({ state: TRIAL, expirationDate: hoursFromNow(-1), graceDays: 3 }, now), EXPIRED);
+});
+
+test('a subscription in grace stays there until the grace period ends', () => {
+  assert.equal(getLapsedState({ state: GRACE, expirationDate: hoursFromNow(-48), graceDays: 3 }, now), null);
+  assert.equal(getLapsedState({ state: GRACE, expirationDate: hoursFromNow(-72), graceDays: 3 }, now), EXPIRED);
+});
+
+test('expired and revoked subscriptions are left alone', () => {
+  for (const state of [EXPIRED, REVOKED]) {
+    assert.equal(getLapsedState({ state, expirationDate: hoursFromNow(-100), graceDays: 3 }, now), null);
+  }
+});
+
+// Answers the expiry check's SELECT with `rows` and records every query
+function fakeDatabase(rows) {
+  const queries = [];
+  const client = {
+    async query(text, params) {
+      queries.push({ text, params });
+      return { rows: /^\s*SELECT/.test(text) ? rows : [] };
+    }
+  };
+  return { queries, transaction: (callback) => callback(client) };
+}
+
+const silentLogger = { info() {}, debug() {}, warn() {}, error() {} };
+
+test('checkExpiredSubscriptions moves lapsed subscriptions as of the given time', async () => {
+  const database = fakeDatabase([
+    { username: 'alice', creator: '', product: 'leo-premium', state: ACTIVE, expiration_date: hoursFromNow(-1), grace_days: '3' },
+    { username: 'bob', creator: 'creator', product: 'leo-premium', state: GRACE, expiration_date: hoursFromNow(-80), grace_days: '3' },
+    { username: 'carol', creator: '', product: 'leo-premium', state: GRACE, expiration_date: hoursFromNow(-10), grace_days: '3' }
+  ]);
+
+  const { grace, expired } = await checkExpiredSubscriptions({ database, now, logger: silentLogger });
+
+  assert.deepEqual(grace.map(subscription => subscription.username), ['alice']);
+  assert.deepEqual(expired.map(subscription => subscription.username), ['bob']);
+  assert.deepEqual(database.queries[0].params[1], now);
+
+  const transitions = database.queries.filter(query => query.text.includes('INSERT INTO subscription_transitions'));
+  assert.deepEqual(transitions.map(query => [query.params[0], query.params[3], query.params[4]]), [
+    ['alice', ACTIVE, GRACE],
+    ['bob', GRACE, EXPIRED]
+  ]);
+});
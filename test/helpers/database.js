@@ -0,0 +1,36 @@
+import { Database } from '../../db.js';
+import { migrate } from '../../migrate.js';
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+/**
+ * The `skip` option for suites that need a database: a reason when
+ * TEST_DATABASE_URL is not set, false otherwise. With TEST_DATABASE_REQUIRED
+ * (set by `npm run test:integration`) a missing database fails the run
+ * instead, so CI can't pass without running these tests.
+ */
+export function skipWithoutDatabase() {
+  if (TEST_DATABASE_URL) {
+    return false;
+  }
+  if (process.env.TEST_DATABASE_REQUIRED === 'true') {
+    throw new Error('TEST_DATABASE_URL is not set, and the database tests are required');
+  }
+  return 'TEST_DATABASE_URL is not set';
+}
+
+/**
+ * Connect to TEST_DATABASE_URL, empty it and migrate it. Its public schema
+ * is dropped, so this refuses any database without "test" in its name.
+ */
+export async function createTestDatabase() {
+  const name = decodeURIComponent(new URL(TEST_DATABASE_URL).pathname.slice(1));
+  if (!/test/i.test(name)) {
+    throw new Error(`Refusing to empty database "${name}": TEST_DATABASE_URL must name a database with "test" in its name`);
+  }
+
+  const database = new Database({ connectionString: TEST_DATABASE_URL });
+  await database.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public');
+  await migrate({ database });
+  return database;
+}
@@ -0,0 +1,3 @@
+// Imported first by every test file, since the logger reads NODE_ENV when it
+// is imported: no log output during tests
+process.env.NODE_ENV = 'test';
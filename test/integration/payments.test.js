@@ -0,0 +1,424 @@
+import '../helpers/env.js';
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { PlanCatalog } from '../../plans.js';
+import { PaymentProcessor } from '../../payment-processor.js';
+import { checkExpiredSubscriptions } from '../../expiry.js';
+import { assignLegacyCreator } from '../../legacy-subscriptions.js';
+import { Database } from '../../db.js';
+import { migrate, loadMigrations } from '../../migrate.js';
+import { SUBSCRIPTION_STATES } from '../../subscription-states.js';
+import { paymentsTotal } from '../../metrics.js';
+import { skipWithoutDatabase, createTestDatabase } from '../helpers/database.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = new Date('2024-03-01T12:00:00Z');
+
+const plans = new PlanCatalog(
+  JSON.parse(fs.readFileSync(new URL('../../plans.example.json', import.meta.url), 'utf8')).plans,
+  'test'
+);
+
+// Stands in for the Hive API: every account exists except "nobody", and
+// HIVE is worth 0.250 HBD
+const chain = {
+  accountExists: async (username) => username !== 'nobody',
+  getRate: async () => ({ base: 250, quote: 1000, source: 'test' })
+};
+
+let trxCount = 0;
+function transfer({ from, to = 'leosubscriptions', amount = '5.000 HBD', memo = 'subscribe:youraccount', timestamp = START }) {
+  const [value, symbol] = amount.split(' ');
+  trxCount++;
+  return {
+    trxId: `trx${trxCount}`,
+    block: 80000000 + trxCount,
+    opIndex: 0,
+    opType: 'transfer',
+    from,
+    to,
+    amount: { milli: Math.round(Number(value) * 1000), symbol },
+    memo,
+    timestamp: timestamp.toISOString().slice(0, 19)
+  };
+}
+
+describe('crediting payments in Postgres', { skip: skipWithoutDatabase() }, () => {
+  let database;
+  let now;
+  const processor = () => new PaymentProcessor({ database, plans, chain, clock: { now: () => now } });
+
+  async function getSubscription(username, product = 'leo-premium') {
+    const result = await database.query(
+      'SELECT * FROM subscriptions WHERE username = $1 AND product = $2',
+      [username, product]
+    );
+    return result.rows[0];
+  }
+
+  async function getPayments(from) {
+    const result = await database.query('SELECT * FROM payments WHERE from_account = $1 ORDER BY id', [from]);
+    return result.rows;
+  }
+
+  before(async () => {
+    database = await createTestDatabase();
+  });
+
+  after(async () => {
+    await database?.end();
+  });
+
+  test('a payment creates a subscription and is recorded once', async () => {
+    now = START;
+    const payment = transfer({ from: 'alice' });
+    assert.equal(await processor().process(payment), 'credited');
+    assert.equal(await processor().process(payment), 'duplicate');
+
+    const subscription = await getSubscription('alice');
+    assert.equal(subscription.state, SUBSCRIPTION_STATES.ACTIVE);
+    assert.equal(subscription.creator, 'youraccount');
+    assert.deepEqual(subscription.expiration_date, new Date(START.getTime() + 31 * DAY));
+
+    const payments = await getPayments('alice');
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].outcome, 'credited');
+    assert.equal(payments[0].plan_id, 'leo-premium-monthly');
+  });
+
+  test('an early renewal stacks onto the remaining time', async () => {
+    now = START;
+    await processor().process(transfer({ from: 'bob' }));
+    now = new Date(START.getTime() + 10 * DAY);
+    assert.equal(await processor().process(transfer({ from: 'bob' })), 'credited');
+
+    const subscription = await getSubscription('bob');
+    assert.deepEqual(subscription.expiration_date, new Date(START.getTime() + 62 * DAY));
+  });
+
+  test('a renewal made before expiry but processed after it still stacks', async () => {
+    now = START;
+    await processor().process(transfer({ from: 'laura' }));
+    const expiresAt = START.getTime() + 31 * DAY;
+
+    // Paid a day before expiry, found by a catch-up a week after it
+    now = new Date(expiresAt + 7 * DAY);
+    await checkExpiredSubscriptions({ database, now });
+    const payment = transfer({ from: 'laura', timestamp: new Date(expiresAt - DAY) });
+    assert.equal(await processor().process(payment), 'credited');
+
+    const subscription = await getSubscription('laura');
+    assert.equal(subscription.state, SUBSCRIPTION_STATES.ACTIVE);
+    assert.deepEqual(subscription.expiration_date, new Date(expiresAt + 31 * DAY));
+  });
+
+  test('a payment that matches no plan is rejected and credits nothing', async () => {
+    now = START;
+    assert.equal(await processor().process(transfer({ from: 'carol', amount: '4.000 HBD' })), 'rejected');
+
+    assert.equal(await getSubscription('carol'), undefined);
+    const [payment] = await getPayments('carol');
+    assert.equal(payment.outcome, 'rejected');
+    assert.equal(payment.reason, 'No plan costs 4.000 HBD');
+  });
+
+  test('a gift credits the recipient, unless the account does not exist', async () => {
+    now = START;
+    const gift = transfer({ from: 'dave', memo: 'subscribe:youraccount:gift:erin' });
+    assert.equal(await processor().process(gift), 'credited');
+    assert.equal((await getSubscription('erin')).gifted_by, 'dave');
+
+    const lost = transfer({ from: 'dave', memo: 'subscribe:youraccount:gift:nobody' });
+    assert.equal(await processor().process(lost), 'rejected');
+    assert.equal(await getSubscription('nobody'), undefined);
+  });
+
+  test('HIVE payments are priced through the chain and stored with their HBD value', async () => {
+    now = START;
+    assert.equal(await processor().process(transfer({ from: 'frank', amount: '20.000 HIVE' })), 'credited');
+
+    const [payment] = await getPayments('frank');
+    assert.equal(payment.hbd_value, '5.000');
+    assert.equal(payment.rate_source, 'test');
+  });
+
+  test('a HIVE payment made before a price is available fails, to be retried', async () => {
+    now = START;
+    const payment = transfer({ from: 'gina', amount: '20.000 HIVE' });
+    const unpriced = new PaymentProcessor({
+      database,
+      plans,
+      chain: { ...chain, getRate: async () => null },
+      clock: { now: () => now }
+    });
+    assert.equal(await unpriced.process(payment), 'failed');
+    assert.deepEqual(await getPayments('gina'), []);
+
+    assert.equal(await processor().process(payment), 'credited');
+  });
+
+  test('a lapsed subscription goes through its grace period before expiring', async () => {
+    now = START;
+    await processor().process(transfer({ from: 'grace' }));
+    const expiresAt = START.getTime() + 31 * DAY;
+
+    await checkExpiredSubscriptions({ database, now: new Date(expiresAt + DAY) });
+    let subscription = await getSubscription('grace');
+    assert.equal(subscription.state, SUBSCRIPTION_STATES.GRACE);
+    assert.equal(subscription.active_subscription, true);
+
+    // The example plan has a three-day grace period
+    await checkExpiredSubscriptions({ database, now: new Date(expiresAt + 4 * DAY) });
+    subscription = await getSubscription('grace');
+    assert.equal(subscription.state, SUBSCRIPTION_STATES.EXPIRED);
+    assert.equal(subscription.active_subscription, false);
+
+    const transitions = await database.query(
+      'SELECT from_state, to_state FROM subscription_transitions WHERE username = $1 ORDER BY id',
+      ['grace']
+    );
+    assert.deepEqual(transitions.rows.map(row => [row.from_state, row.to_state]), [
+      [null, SUBSCRIPTION_STATES.ACTIVE],
+      [SUBSCRIPTION_STATES.ACTIVE, SUBSCRIPTION_STATES.GRACE],
+      [SUBSCRIPTION_STATES.GRACE, SUBSCRIPTION_STATES.EXPIRED]
+    ]);
+  });
+
+  test('a renewal in the grace period continues from the old expiration date', async () => {
+    now = START;
+    await processor().process(transfer({ from: 'late' }));
+    const expiresAt = START.getTime() + 31 * DAY;
+
+    now = new Date(expiresAt + DAY);
+    await checkExpiredSubscriptions({ database, now });
+    assert.equal(await processor().process(transfer({ from: 'late' })), 'credited');
+
+    const subscription = await getSubscription('late');
+    assert.equal(subscription.state, SUBSCRIPTION_STATES.ACTIVE);
+    assert.deepEqual(subscription.expiration_date, new Date(expiresAt + 31 * DAY));
+  });
+
+  test('checking for pending migrations writes nothing', async () => {
+    assert.deepEqual(await migrate({ checkOnly: true, database }), { applied: [], pending: [] });
+
+    // A database that was never migrated, through a schema of its own
+    await database.query('DROP SCHEMA IF EXISTS never_migrated CASCADE; CREATE SCHEMA never_migrated');
+    const empty = new Database({ connectionString: process.env.TEST_DATABASE_URL, options: '-c search_path=never_migrated' });
+    try {
+      const { pending } = await migrate({ checkOnly: true, database: empty });
+      assert.deepEqual(pending, loadMigrations().map(migration => migration.version));
+      const tables = await database.query(
+        "SELECT table_name FROM information_schema.tables WHERE table_schema = 'never_migrated'"
+      );
+      assert.deepEqual(tables.rows, []);
+    } finally {
+      await empty.end();
+      await database.query('DROP SCHEMA never_migrated CASCADE');
+    }
+  });
+
+  describe('legacy LEO subscriptions without a creator', () => {
+    const oneCreator = new PlanCatalog(plans.plans.filter(plan => plan.id !== 'leo-premium-othercreator'), 'test');
+
+    async function addLegacySubscription(username) {
+      await database.query(`
+        INSERT INTO subscriptions (username, creator, product, subscription_date, expiration_date)
+        VALUES ($1, '', 'leo-premium', $2, $3)
+      `, [username, START, new Date(START.getTime() + 10 * DAY)]);
+    }
+
+    test('are assigned to the only LEO creator, so payments extend them', async () => {
+      await addLegacySubscription('olga');
+      await database.query(`
+        INSERT INTO subscription_transitions (username, creator, product, to_state, reason)
+        VALUES ('olga', '', 'leo-premium', 'active', 'Legacy')
+      `);
+
+      // With two creators there is no telling whose subscriber it is
+      await assert.rejects(assignLegacyCreator({ database, plans }), /have no creator/);
+      assert.equal(await assignLegacyCreator({ database, plans: oneCreator }), 1);
+      assert.equal(await assignLegacyCreator({ database, plans: oneCreator }), 0);
+
+      const transitions = await database.query("SELECT creator FROM subscription_transitions WHERE username = 'olga'");
+      assert.deepEqual(transitions.rows, [{ creator: 'youraccount' }]);
+
+      now = START;
+      await processor().process(transfer({ from: 'olga' }));
+      const subscriptions = await database.query("SELECT * FROM subscriptions WHERE username = 'olga'");
+      assert.equal(subscriptions.rows.length, 1);
+      assert.deepEqual(subscriptions.rows[0].expiration_date, new Date(START.getTime() + 41 * DAY));
+    });
+
+    test('are kept as they are when LEO plans have no creator', async () => {
+      const noCreator = new PlanCatalog([{
+        id: 'leo-premium', product: 'leo-premium', account: 'leosubscriptions', assets: ['HBD'], amount: '5.000', durationDays: 31
+      }], 'test');
+      await addLegacySubscription('paula');
+      assert.equal(await assignLegacyCreator({ database, plans: noCreator }), 0);
+      assert.equal((await database.query(
+        "SELECT creator FROM subscriptions WHERE username = 'paula'"
+      )).rows[0].creator, '');
+      await database.query("DELETE FROM subscriptions WHERE username = 'paula'");
+    });
+
+    test('are left alone when the subscriber already has one for the creator', async () => {
+      await addLegacySubscription('alice');
+      await assert.rejects(assignLegacyCreator({ database, plans: oneCreator }), /merge them by hand: alice$/);
+      assert.equal((await database.query(
+        "SELECT 1 FROM subscriptions WHERE username = 'alice' AND creator = ''"
+      )).rows.length, 1);
+      await database.query("DELETE FROM subscriptions WHERE username = 'alice' AND creator = ''");
+    });
+  });
+
+  describe('waiting for irreversible blocks', () => {
+    // Blocks up to lastIrreversibleBlock are final, holding the operations in
+    // `blocks`; `included` has the block each transaction is in
+    let lastIrreversibleBlock;
+    let blocks;
+    let included = new Map();
+    const waitingProcessor = () => new PaymentProcessor({
+      database,
+      plans,
+      clock: { now: () => now },
+      waitForIrreversible: true,
+      chain: {
+        ...chain,
+        getLastIrreversibleBlock: async () => lastIrreversibleBlock,
+        getOperationsInBlock: async (block) => blocks.get(block) || [],
+        findTransactionBlock: async (trxId) => included.get(trxId) ?? null
+      }
+    });
+
+    // The operation condenser_api.get_ops_in_block returns for a transfer
+    function toOperation(payment) {
+      return {
+        trx_id: payment.trxId,
+        block: payment.block,
+        op_in_trx: payment.opIndex,
+        timestamp: payment.timestamp,
+        op: ['transfer', {
+          from: payment.from,
+          to: payment.to,
+          amount: `${(payment.amount.milli / 1000).toFixed(3)} ${payment.amount.symbol}`,
+          memo: payment.memo
+        }]
+      };
+    }
+
+    // paymentsTotal for leo-premium, by outcome
+    async function countPayments() {
+      const { values } = await paymentsTotal.get();
+      return Object.fromEntries(values
+        .filter(({ labels }) => labels.product === 'leo-premium')
+        .map(({ labels, value }) => [labels.outcome, value]));
+    }
+
+    test('a payment is held until its block is irreversible, then credited', async () => {
+      now = START;
+      const counted = await countPayments();
+      const payment = transfer({ from: 'henry' });
+      lastIrreversibleBlock = payment.block - 1;
+      blocks = new Map([[payment.block, [toOperation(payment)]]]);
+
+      const processor = waitingProcessor();
+      assert.equal(await processor.process(payment), 'pending');
+      assert.equal(await processor.process(payment), 'duplicate');
+      assert.equal(await getSubscription('henry'), undefined);
+      let [recorded] = await getPayments('henry');
+      assert.equal(recorded.outcome, 'pending');
+      assert.equal(recorded.plan_id, 'leo-premium-monthly');
+
+      // Nothing is settled before the block is irreversible
+      assert.equal(await processor.settlePending(), 0);
+
+      // Counted once, when it is settled
+      assert.equal((await countPayments()).pending, undefined);
+      assert.equal((await countPayments()).credited, counted.credited);
+
+      lastIrreversibleBlock = payment.block;
+      assert.equal(await processor.settlePending(), 1);
+      assert.equal((await countPayments()).credited, counted.credited + 1);
+      assert.equal((await getSubscription('henry')).state, SUBSCRIPTION_STATES.ACTIVE);
+      [recorded] = await getPayments('henry');
+      assert.equal(recorded.outcome, 'credited');
+      assert.deepEqual(recorded.expiration_after, new Date(START.getTime() + 31 * DAY));
+    });
+
+    test('a payment whose block was dropped by a fork is orphaned', async () => {
+      now = START;
+      const payment = transfer({ from: 'ivan' });
+      lastIrreversibleBlock = payment.block - 1;
+      blocks = new Map();
+
+      const processor = waitingProcessor();
+      assert.equal(await processor.process(payment), 'pending');
+      lastIrreversibleBlock = payment.block;
+      assert.equal(await processor.settlePending(), 1);
+
+      assert.equal(await getSubscription('ivan'), undefined);
+      const [recorded] = await getPayments('ivan');
+      assert.equal(recorded.outcome, 'orphaned');
+      const refunds = await database.query('SELECT 1 FROM refunds WHERE payment_id = $1', [recorded.id]);
+      assert.equal(refunds.rows.length, 0);
+    });
+
+    test('a payment a fork moved to a later block is credited from there', async () => {
+      now = START;
+      const counted = await countPayments();
+      const payment = transfer({ from: 'lena' });
+      const moved = { ...payment, block: payment.block + 5, opIndex: 1 };
+      lastIrreversibleBlock = payment.block - 1;
+      blocks = new Map([[moved.block, [toOperation(moved)]]]);
+      included = new Map([[payment.trxId, moved.block]]);
+
+      const processor = waitingProcessor();
+      assert.equal(await processor.process(payment), 'pending');
+
+      // Past the old block but not the new one: held again from there
+      lastIrreversibleBlock = payment.block;
+      assert.equal(await processor.settlePending(), 1);
+      let [orphaned, recorded] = await getPayments('lena');
+      assert.equal(orphaned.outcome, 'orphaned');
+      assert.match(orphaned.reason, new RegExp(`in block ${moved.block} instead`));
+      assert.equal(recorded.outcome, 'pending');
+      assert.equal(recorded.block_num, moved.block);
+      assert.equal(recorded.op_index, 1);
+
+      lastIrreversibleBlock = moved.block;
+      assert.equal(await processor.settlePending(), 1);
+      [orphaned, recorded] = await getPayments('lena');
+      assert.equal(recorded.outcome, 'credited');
+      assert.equal((await getSubscription('lena')).state, SUBSCRIPTION_STATES.ACTIVE);
+      assert.equal((await countPayments()).credited, counted.credited + 1);
+    });
+
+    test('a payment in an irreversible block is credited straight away', async () => {
+      now = START;
+      const payment = transfer({ from: 'judy' });
+      lastIrreversibleBlock = payment.block;
+      assert.equal(await waitingProcessor().process(payment), 'credited');
+    });
+
+    // Straight to the pool, since db.query() would retry each rejected statement
+    test('only pending payments can be changed in the ledger', async () => {
+      const [credited] = await getPayments('alice');
+      await assert.rejects(
+        database.pool.query('UPDATE payments SET outcome = $1 WHERE id = $2', ['rejected', credited.id]),
+        /append-only/
+      );
+
+      now = START;
+      const payment = transfer({ from: 'kate' });
+      lastIrreversibleBlock = payment.block - 1;
+      await waitingProcessor().process(payment);
+      const [pending] = await getPayments('kate');
+      await assert.rejects(
+        database.pool.query('UPDATE payments SET amount = 1000 WHERE id = $1', [pending.id]),
+        /append-only/
+      );
+      await assert.rejects(database.pool.query('DELETE FROM payments WHERE id = $1', [pending.id]), /append-only/);
+    });
+  });
+});
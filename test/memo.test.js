@@ -0,0 +1,31 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGiftMemo, parseSubscribeMemo } from '../memo.js';
+
+test('parseGiftMemo leaves a regular memo alone', () => {
+  assert.deepEqual(parseGiftMemo('subscribe:creator'), { memo: 'subscribe:creator', recipient: null });
+  assert.deepEqual(parseGiftMemo(''), { memo: '', recipient: null });
+});
+
+test('parseGiftMemo splits the recipient off a plan memo', () => {
+  assert.deepEqual(parseGiftMemo('subscribe:creator:gift:Alice'), { memo: 'subscribe:creator', recipient: 'alice' });
+});
+
+test('parseGiftMemo accepts a bare gift memo with or without @', () => {
+  assert.deepEqual(parseGiftMemo('gift:alice'), { memo: '', recipient: 'alice' });
+  assert.deepEqual(parseGiftMemo(' gift:@alice.bob '), { memo: '', recipient: 'alice.bob' });
+});
+
+test('parseGiftMemo ignores recipients that cannot be account names', () => {
+  assert.equal(parseGiftMemo('gift:al').recipient, null);
+  assert.equal(parseGiftMemo('gift:averyveryverylongname').recipient, null);
+  assert.equal(parseGiftMemo('gift:ali ce').recipient, null);
+});
+
+test('parseSubscribeMemo returns the creator, lowercased', () => {
+  assert.equal(parseSubscribeMemo('subscribe:Creator'), 'creator');
+  assert.equal(parseSubscribeMemo('subscribe:@creator '), 'creator');
+  assert.equal(parseSubscribeMemo('subscribe creator'), null);
+  assert.equal(parseSubscribeMemo('subscribe:creator:gift:alice'), null);
+});
@@ -0,0 +1,52 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toTransfer } from '../payments.js';
+
+const entry = (op, extra = {}) => ({
+  trx_id: 'abc123',
+  block: 90000000,
+  op_in_trx: 1,
+  timestamp: '2024-03-01T12:00:00',
+  op,
+  ...extra
+});
+
+test('toTransfer reads a transfer from an account history entry', () => {
+  const transfer = toTransfer(entry(['transfer', {
+    from: 'alice',
+    to: 'leosubscriptions',
+    amount: '5.000 HBD',
+    memo: 'subscribe:creator'
+  }]));
+
+  assert.deepEqual(transfer, {
+    trxId: 'abc123',
+    block: 90000000,
+    opIndex: 1,
+    opType: 'transfer',
+    from: 'alice',
+    to: 'leosubscriptions',
+    amount: { milli: 5000, symbol: 'HBD' },
+    memo: 'subscribe:creator',
+    timestamp: '2024-03-01T12:00:00'
+  });
+});
+
+test('toTransfer reads recurrent transfers and defaults missing fields', () => {
+  const transfer = toTransfer(entry(['fill_recurrent_transfer', {
+    from: 'alice',
+    to: 'leosubscriptions',
+    amount: '1.000 HIVE'
+  }], { op_in_trx: undefined }));
+
+  assert.equal(transfer.opType, 'fill_recurrent_transfer');
+  assert.equal(transfer.opIndex, 0);
+  assert.equal(transfer.memo, '');
+  assert.deepEqual(transfer.amount, { milli: 1000, symbol: 'HIVE' });
+});
+
+test('toTransfer returns null for other operations', () => {
+  assert.equal(toTransfer(entry(['vote', { voter: 'alice', author: 'bob', permlink: 'post', weight: 10000 }])), null);
+  assert.equal(toTransfer({ trx_id: 'abc123' }), null);
+});
@@ -0,0 +1,149 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlanCatalog, validatePlans } from '../plans.js';
+
+const PLANS = [
+  {
+    id: 'premium-creator',
+    product: 'leo-premium',
+    account: 'leosubscriptions',
+    assets: ['HBD', 'HIVE'],
+    amount: '5.000',
+    hiveTolerance: 0.02,
+    durationDays: 31,
+    creator: 'creator'
+  },
+  {
+    id: 'summaries-full',
+    product: 'ai-summaries-full',
+    account: 'ai-summaries',
+    assets: ['HBD'],
+    amount: '5.000',
+    durationDays: 31
+  },
+  {
+    id: 'summaries-mini',
+    product: 'ai-summaries-mini',
+    account: 'ai-summaries',
+    assets: ['HBD'],
+    amount: '0.500',
+    proRate: true,
+    proRateMinimum: '0.250',
+    durationDays: 2
+  },
+  {
+    id: 'tips',
+    product: 'tips',
+    account: 'tipjar',
+    assets: ['HBD'],
+    minAmount: '1.000',
+    durationDays: 7
+  }
+];
+
+const catalog = new PlanCatalog(PLANS, 'test');
+
+function transfer(to, amount, memo = '', extra = {}) {
+  const [value, symbol] = amount.split(' ');
+  return {
+    to,
+    amount: { milli: Math.round(Number(value) * 1000), symbol },
+    memo,
+    ...extra
+  };
+}
+
+test('an exact HBD payment with the right memo matches its plan', () => {
+  const { plan, proRated } = catalog.match(transfer('leosubscriptions', '5.000 HBD', 'subscribe:creator'));
+  assert.equal(plan.id, 'premium-creator');
+  assert.equal(proRated, false);
+});
+
+test('creator memos are matched case-insensitively', () => {
+  assert.equal(catalog.match(transfer('leosubscriptions', '5.000 HBD', 'SUBSCRIBE:Creator')).plan?.id, 'premium-creator');
+});
+
+test('a payment to an account without plans is rejected', () => {
+  assert.deepEqual(catalog.match(transfer('someone', '5.000 HBD')), { reason: 'No plan is paid to someone' });
+});
+
+test('a memo naming an untracked creator is rejected', () => {
+  const { plan, reason } = catalog.match(transfer('leosubscriptions', '5.000 HBD', 'subscribe:stranger'));
+  assert.equal(plan, undefined);
+  assert.equal(reason, '@stranger is not a tracked creator');
+});
+
+test('the reason comes from the plan that got closest to matching', () => {
+  assert.equal(catalog.match(transfer('leosubscriptions', '4.000 HBD', 'subscribe:creator')).reason,
+    'No plan costs 4.000 HBD');
+  assert.equal(catalog.match(transfer('leosubscriptions', '5.000 HBD', 'hello')).reason,
+    'Memo "hello" does not match plan premium-creator');
+  assert.equal(catalog.match(transfer('ai-summaries', '5.000 HIVE')).reason, 'Unsupported asset HIVE');
+});
+
+test('HBD payments must match the price exactly', () => {
+  assert.equal(catalog.match(transfer('leosubscriptions', '4.999 HBD', 'subscribe:creator')).plan, undefined);
+  assert.equal(catalog.match(transfer('leosubscriptions', '5.001 HBD', 'subscribe:creator')).plan, undefined);
+});
+
+test('HIVE payments are compared by HBD value within the tolerance', () => {
+  const within = transfer('leosubscriptions', '20.000 HIVE', 'subscribe:creator', { hbdValue: 4900 });
+  assert.equal(catalog.match(within).plan?.id, 'premium-creator');
+
+  const short = transfer('leosubscriptions', '19.000 HIVE', 'subscribe:creator', { hbdValue: 4899 });
+  assert.equal(catalog.match(short).reason, 'No plan costs 19.000 HIVE (4.899 HBD)');
+
+  const unpriced = transfer('leosubscriptions', '20.000 HIVE', 'subscribe:creator');
+  assert.equal(catalog.match(unpriced).plan, undefined);
+});
+
+test('gift memos are matched without their gift suffix', () => {
+  const gift = transfer('leosubscriptions', '5.000 HBD', 'subscribe:creator:gift:alice', { planMemo: 'subscribe:creator' });
+  assert.equal(catalog.match(gift).plan?.id, 'premium-creator');
+});
+
+test('an exact price is preferred over pro-rating', () => {
+  const { plan, proRated } = catalog.match(transfer('ai-summaries', '0.500 HBD'));
+  assert.equal(plan.id, 'summaries-mini');
+  assert.equal(proRated, false);
+});
+
+test('other amounts above the pro-rating minimum are pro-rated', () => {
+  const { plan, proRated } = catalog.match(transfer('ai-summaries', '1.250 HBD'));
+  assert.equal(plan.id, 'summaries-mini');
+  assert.equal(proRated, true);
+
+  assert.equal(catalog.match(transfer('ai-summaries', '0.249 HBD')).reason, 'No plan costs 0.249 HBD');
+});
+
+test('minimum-amount plans accept anything from the minimum up', () => {
+  assert.equal(catalog.match(transfer('tipjar', '1.000 HBD')).plan?.id, 'tips');
+  assert.equal(catalog.match(transfer('tipjar', '25.000 HBD')).plan?.id, 'tips');
+  assert.equal(catalog.match(transfer('tipjar', '0.999 HBD')).plan, undefined);
+});
+
+test('getPaidMilli uses the HBD value of HIVE payments', () => {
+  assert.equal(catalog.getPaidMilli(transfer('x', '5.000 HBD')), 5000);
+  assert.equal(catalog.getPaidMilli(transfer('x', '20.000 HIVE', '', { hbdValue: 4900 })), 4900);
+});
+
+test('validatePlans accepts a valid catalog', () => {
+  assert.deepEqual(validatePlans(PLANS), []);
+});
+
+test('validatePlans reports every problem', () => {
+  const errors = validatePlans([
+    { id: 'a', product: 'Bad Product', account: 'x', assets: ['BTC'], amount: '1.0000', durationDays: 0 },
+    { id: 'a', product: 'ok', account: 'x', assets: ['HBD'], minAmount: '1.000', proRate: true, durationDays: 1 }
+  ]);
+  assert.deepEqual(errors, [
+    'plan a: product must be lowercase letters, digits and dashes',
+    'plan a: assets must be a non-empty list of HBD, HIVE',
+    'plan a: amounts must be positive strings with up to 3 decimals, e.g. "5.000"',
+    'plan a: durationDays must be a positive number',
+    'plan a: duplicate id',
+    'plan a: proRate requires an exact amount'
+  ]);
+  assert.deepEqual(validatePlans([]), ['at least one plan is required']);
+});
@@ -0,0 +1,118 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeRenewal } from '../subscription-service.js';
+import { SUBSCRIPTION_STATES } from '../subscription-states.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2024-03-01T12:00:00Z');
+const daysFromNow = (days) => new Date(now.getTime() + days * DAY);
+
+test('a new subscription runs from now', () => {
+  const renewal = computeRenewal({ now, previousExpirationDate: null, previousState: null, days: 31 });
+  assert.deepEqual(renewal.expirationDate, daysFromNow(31));
+  assert.deepEqual(renewal.baseDate, now);
+  assert.equal(renewal.daysCredited, 31);
+  assert.equal(renewal.isEarlyRenewal, false);
+  assert.equal(renewal.note, `31 days from ${now.toISOString()}`);
+});
+
+test('an early renewal is added to the remaining time', () => {
+  const previousExpirationDate = daysFromNow(10);
+  const renewal = computeRenewal({ now, previousExpirationDate, previousState: SUBSCRIPTION_STATES.ACTIVE, days: 31 });
+  assert.deepEqual(renewal.expirationDate, daysFromNow(41));
+  assert.equal(renewal.isEarlyRenewal, true);
+  assert.match(renewal.note, /^Renewed early: 31 days added/);
+});
+
+test('a renewal after expiry starts from now', () => {
+  const renewal = computeRenewal({
+    now,
+    previousExpirationDate: daysFromNow(-5),
+    previousState: SUBSCRIPTION_STATES.EXPIRED,
+    days: 31
+  });
+  assert.deepEqual(renewal.expirationDate, daysFromNow(31));
+  assert.equal(renewal.isEarlyRenewal, false);
+});
+
+test('a renewal in the grace period continues from the old expiration date', () => {
+  const renewal = computeRenewal({
+    now,
+    previousExpirationDate: daysFromNow(-2),
+    previousState: SUBSCRIPTION_STATES.GRACE,
+    days: 31
+  });
+  assert.deepEqual(renewal.expirationDate, daysFromNow(29));
+  assert.equal(renewal.daysCredited, 31);
+  assert.match(renewal.note, /^Renewed in the grace period/);
+});
+
+test('part of a day is credited in whole hours', () => {
+  const renewal = computeRenewal({ now, previousExpirationDate: null, previousState: null, days: 1.51 });
+  assert.deepEqual(renewal.expirationDate, new Date(now.getTime() + 36 * 60 * 60 * 1000));
+  assert.equal(renewal.daysCredited, 1.5);
+  assert.equal(renewal.note, `1.51 days from ${now.toISOString()}`);
+});
+
+test('the prepaid cap limits how far ahead a subscription runs', () => {
+  const renewal = computeRenewal({
+    now,
+    previousExpirationDate: daysFromNow(50),
+    previousState: SUBSCRIPTION_STATES.ACTIVE,
+    days: 31,
+    maxPrepaidDays: 60
+  });
+  assert.deepEqual(renewal.expirationDate, daysFromNow(60));
+  assert.equal(renewal.capped, true);
+  assert.equal(renewal.daysCredited, 10);
+  assert.match(renewal.note, /capped at 60 days prepaid, 10 days credited$/);
+});
+
+test('the prepaid cap never shortens a subscription', () => {
+  const previousExpirationDate = daysFromNow(90);
+  const renewal = computeRenewal({
+    now,
+    previousExpirationDate,
+    previousState: SUBSCRIPTION_STATES.ACTIVE,
+    days: 31,
+    maxPrepaidDays: 60
+  });
+  assert.deepEqual(renewal.expirationDate, previousExpirationDate);
+  assert.equal(renewal.daysCredited, 0);
+});
+
+test('a renewal paid before expiry but processed after it still stacks', () => {
+  const previousExpirationDate = daysFromNow(-1);
+  const renewal = computeRenewal({
+    now,
+    paidAt: daysFromNow(-3),
+    previousExpirationDate,
+    previousState: SUBSCRIPTION_STATES.EXPIRED,
+    days: 31
+  });
+  assert.deepEqual(renewal.baseDate, previousExpirationDate);
+  assert.deepEqual(renewal.expirationDate, daysFromNow(30));
+  assert.equal(renewal.isEarlyRenewal, true);
+});
+
+test('a payment time after now is treated as now', () => {
+  const renewal = computeRenewal({
+    now,
+    paidAt: daysFromNow(2),
+    previousExpirationDate: daysFromNow(1),
+    previousState: SUBSCRIPTION_STATES.ACTIVE,
+    days: 31
+  });
+  assert.deepEqual(renewal.expirationDate, daysFromNow(32));
+
+  const lapsed = computeRenewal({
+    now,
+    paidAt: daysFromNow(2),
+    previousExpirationDate: daysFromNow(-1),
+    previousState: SUBSCRIPTION_STATES.EXPIRED,
+    days: 31
+  });
+  assert.equal(lapsed.isEarlyRenewal, false);
+  assert.deepEqual(lapsed.expirationDate, daysFromNow(31));
+});
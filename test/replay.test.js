@@ -0,0 +1,72 @@
+import './helpers/env.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readRecording, parseLookupLine, ReplayChain, OperationRecorder } from '../replay.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const operation = {
+  trx_id: 'ab12',
+  block: 88000000,
+  timestamp: '2024-06-01T12:00:00',
+  op: ['transfer', { from: 'alice', to: 'leosubscriptions', amount: '20.000 HIVE', memo: '' }]
+};
+
+test('lookups are read apart from the operations around them', () => {
+  const file = path.join(dir, 'mixed.jsonl');
+  fs.writeFileSync(file, [
+    JSON.stringify([7, operation]),
+    '{"lookup":"account","account":"erin","exists":true}',
+    '',
+    JSON.stringify(operation)
+  ].join('\n'));
+
+  const { operations, lookups } = readRecording(file);
+  assert.deepEqual(operations.map(({ index }) => index), [7, null]);
+  assert.deepEqual(lookups, [{ lookup: 'account', account: 'erin', exists: true }]);
+});
+
+test('malformed lookups are rejected', () => {
+  assert.throws(() => parseLookupLine('{"lookup":"account","account":"erin"}'), /"exists"/);
+  assert.throws(() => parseLookupLine('{"lookup":"rate","timestamp":"2024-06-01T12:00:00","rate":{"base":0.25}}'), /integer/);
+  assert.throws(() => parseLookupLine('{"lookup":"block"}'), /Unknown lookup/);
+  assert.equal(parseLookupLine(JSON.stringify(operation)), null);
+});
+
+test('ReplayChain answers only from recorded lookups', async () => {
+  const rate = { base: 250, quote: 1000, source: 'market' };
+  const chain = new ReplayChain([
+    { lookup: 'account', account: 'erin', exists: true },
+    { lookup: 'account', account: 'nobody', exists: false },
+    { lookup: 'rate', timestamp: '2024-06-01T12:00:00', rate }
+  ]);
+
+  assert.equal(await chain.accountExists('erin'), true);
+  assert.equal(await chain.accountExists('nobody'), false);
+  assert.equal(await chain.accountExists('never-looked-up'), false);
+  // Rates hold for the whole hour
+  assert.deepEqual(await chain.getRate('2024-06-01T12:59:59'), rate);
+  assert.equal(await chain.getRate('2024-06-01T13:00:00'), null);
+});
+
+test('a recording replays the lookups made while it was recorded', async () => {
+  const file = path.join(dir, 'recorded.jsonl');
+  const recorder = new OperationRecorder(file);
+  const chain = recorder.recordLookups({
+    accountExists: async (account) => account === 'erin',
+    getRate: async () => ({ base: 250, quote: 1000, source: 'market' })
+  });
+  recorder.record(operation);
+  await chain.accountExists('erin');
+  await chain.getRate(operation.timestamp);
+  await recorder.close();
+
+  const replayed = ReplayChain.fromFile(file);
+  assert.equal(await replayed.accountExists('erin'), true);
+  assert.deepEqual(await replayed.getRate(operation.timestamp), { base: 250, quote: 1000, source: 'market' });
+  assert.equal(readRecording(file).operations.length, 1);
+});
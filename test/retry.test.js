@@ -0,0 +1,57 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RetryOperation from '../retry.js';
+import { retriesTotal, retryFailuresTotal } from '../metrics.js';
+
+async function counterValue(counter, name) {
+  const { values } = await counter.get();
+  return values.find(value => value.labels.name === name)?.value || 0;
+}
+
+// Fails the first `failures` calls, then returns 'ok'
+function flaky(failures) {
+  const operation = async () => {
+    operation.calls++;
+    if (operation.calls <= failures) {
+      throw new Error(`failure ${operation.calls}`);
+    }
+    return 'ok';
+  };
+  operation.calls = 0;
+  return operation;
+}
+
+test('an operation that succeeds is called once', async () => {
+  const retry = new RetryOperation({ name: 'retry-once', maxAttempts: 3, delay: 1 });
+  const operation = flaky(0);
+  assert.equal(await retry.execute(operation), 'ok');
+  assert.equal(operation.calls, 1);
+  assert.equal(await counterValue(retriesTotal, 'retry-once'), 0);
+});
+
+test('a failing operation is retried until it succeeds', async () => {
+  const retry = new RetryOperation({ name: 'retry-flaky', maxAttempts: 3, delay: 1 });
+  const operation = flaky(2);
+  assert.equal(await retry.execute(operation), 'ok');
+  assert.equal(operation.calls, 3);
+  assert.equal(await counterValue(retriesTotal, 'retry-flaky'), 2);
+  assert.equal(await counterValue(retryFailuresTotal, 'retry-flaky'), 0);
+});
+
+test('the last error is thrown after maxAttempts', async () => {
+  const retry = new RetryOperation({ name: 'retry-failing', maxAttempts: 3, delay: 1 });
+  const operation = flaky(5);
+  await assert.rejects(retry.execute(operation), /failure 3/);
+  assert.equal(operation.calls, 3);
+  assert.equal(await counterValue(retriesTotal, 'retry-failing'), 2);
+  assert.equal(await counterValue(retryFailuresTotal, 'retry-failing'), 1);
+});
+
+test('the wait between attempts grows by the backoff factor', async () => {
+  const retry = new RetryOperation({ name: 'retry-backoff', maxAttempts: 3, delay: 20, backoffFactor: 2 });
+  const start = Date.now();
+  await assert.rejects(retry.execute(flaky(5)));
+  // 20ms, then 40ms
+  assert.ok(Date.now() - start >= 55, `took ${Date.now() - start}ms`);
+});
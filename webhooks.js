@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import fetch from 'node-fetch';
+import db from './db.js';
+import logger from './logger.js';
+import CircuitBreaker from './circuit-breaker.js';
+import RetryOperation from './retry.js';
+
+dotenv.config();
+
+export const WEBHOOK_EVENTS = Object.freeze({
+  SUBSCRIPTION_CREATED: 'subscription.created',
+  SUBSCRIPTION_RENEWED: 'subscription.renewed',
+  SUBSCRIPTION_GRACE: 'subscription.grace',
+  SUBSCRIPTION_EXPIRED: 'subscription.expired',
+  PAYMENT_REJECTED: 'payment.rejected',
+  TRIAL_GRANTED: 'trial.granted'
+});
+
+export const WEBHOOK_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed'
+});
+
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
+export function isWebhookEnabled() {
+  return WEBHOOK_URLS.length > 0;
+}
+
+/**
+ * Queue an event for every configured webhook URL, in the transaction that
+ * made the change, so an event is only sent for changes that were committed.
+ * Returns the event id, or null when no webhooks are configured.
+ */
+export async function queueEvent(client, type, data) {
+  if (!isWebhookEnabled()) {
+    return null;
+  }
+
+  const eventId = crypto.randomUUID();
+  const payload = { id: eventId, type, createdAt: new Date().toISOString(), data };
+  for (const url of WEBHOOK_URLS) {
+    await client.query(`
+      INSERT INTO webhook_outbox (event_id, event_type, url, payload)
+      VALUES ($1, $2, $3, $4)
+    `, [eventId, type, url, JSON.stringify(payload)]);
+  }
+
+  logger.debug('Webhook event queued', { eventId, type });
+  return eventId;
+}
+
+// "sha256=" + HMAC of "<timestamp>.<body>", so a captured request can't be replayed later with a new timestamp
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Delivers queued events from the webhook_outbox table. Each delivery is
+ * retried a few times in a row; if that fails it is tried again on a later
+ * pass, backing off, until maxAttempts passes have failed. Every URL has its
+ * own circuit breaker, so one unreachable receiver doesn't hold up the rest.
+ */
+export class WebhookDispatcher {
+  constructor({
+    secret = process.env.WEBHOOK_SECRET,
+    maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 10,
+    interval = 30000,
+    batchSize = 50,
+    requestTimeout = 10000
+  } = {}) {
+    if (!secret) {
+      throw new Error('WEBHOOK_SECRET is required when WEBHOOK_URLS is set');
+    }
+    this.secret = secret;
+    this.maxAttempts = maxAttempts;
+    this.interval = interval;
+    this.batchSize = batchSize;
+    this.requestTimeout = requestTimeout;
+    this.retry = new RetryOperation({ name: 'webhook', maxAttempts: 3, delay: 1000, backoffFactor: 2 });
+    this.breakers = new Map();
+    this.timer = null;
+    this.isProcessing = false;
+  }
+
+  async start() {
+    this.timer = setInterval(() => this.processPending(), this.interval);
+    await this.processPending();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getBreaker(url) {
+    if (!this.breakers.has(url)) {
+      this.breakers.set(url, new CircuitBreaker({
+        name: `webhook ${new URL(url).host}`,
+        failureThreshold: 5,
+        resetTimeout: 5 * 60 * 1000
+      }));
+    }
+    return this.breakers.get(url);
+  }
+
+  async processPending() {
+    if (this.isProcessing) {
+      return;
+    }
+    this.isProcessing = true;
+
+    try {
+      const pending = await db.query(`
+        SELECT id, event_id, event_type, url, payload, attempts
+        FROM webhook_outbox
+        WHERE status = $1 AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY id
+        LIMIT $2
+      `, [WEBHOOK_STATUSES.PENDING, this.batchSize]);
+
+      for (const delivery of pending.rows) {
+        await this.send(delivery);
+      }
+    } catch (error) {
+      logger.error('Error processing webhooks:', { error: error.message });
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async send(delivery) {
+    const breaker = this.getBreaker(delivery.url);
+    // Deliveries skipped while the breaker is open don't use up an attempt
+    const wasOpen = breaker.isOpen;
+
+    try {
+      await breaker.execute(() => this.retry.execute(() => this.post(delivery)));
+      await db.query(`
+        UPDATE webhook_outbox
+        SET status = $1, attempts = attempts + 1, last_error = NULL, date_updated = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [WEBHOOK_STATUSES.SENT, delivery.id]);
+
+      logger.info('Webhook delivered', {
+        eventId: delivery.event_id,
+        type: delivery.event_type,
+        url: delivery.url
+      });
+    } catch (error) {
+      if (wasOpen && breaker.isOpen) {
+        return;
+      }
+
+      const attempts = delivery.attempts + 1;
+      const status = attempts >= this.maxAttempts ? WEBHOOK_STATUSES.FAILED : WEBHOOK_STATUSES.PENDING;
+      // 1, 2, 4, ... minutes between passes, at most an hour
+      const backoffMinutes = Math.min(2 ** (attempts - 1), 60);
+      await db.query(`
+        UPDATE webhook_outbox
+        SET status = $1, attempts = $2, last_error = $3,
+          next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => $4),
+          date_updated = CURRENT_TIMESTAMP
+        WHERE id = $5
+      `, [status, attempts, error.message, backoffMinutes, delivery.id]);
+
+      logger.error('Webhook delivery failed:', {
+        eventId: delivery.event_id,
+        type: delivery.event_type,
+        url: delivery.url,
+        attempts,
+        status,
+        error: error.message
+      });
+    }
+  }
+
+  async post(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      body,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(this.secret, timestamp, body)
+      },
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`${delivery.url} responded with ${response.status}`);
+    }
+  }
+}